@@ -1,5 +0,0 @@
-export * from "./generateHeatMap";
-export * from "./ColorMapper";
-export * from "./interpolation.types";
-export * from "./kriging";
-export * from "./idw";
@@ -1,4 +0,0 @@
-/**
- * Shared types for interpolation algorithms
- */
-export {};
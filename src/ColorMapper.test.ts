@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { classBreaks } from './ColorMapper';
+
+describe('classBreaks', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, NaN];
+
+    it('splits the range into equal intervals', () => {
+        expect(classBreaks(values, 3, 'equal')).toEqual([1, 4, 7, 10]);
+    });
+
+    it('splits the values into classes of equal counts', () => {
+        expect(classBreaks(values, 2, 'quantile')).toEqual([1, 5.5, 10]);
+    });
+
+    it('places Jenks breaks at the gaps between clusters', () => {
+        const clustered = [1, 1.2, 1.1, 5, 5.3, 5.1, 9.8, 10, 9.9];
+        expect(classBreaks(clustered, 3, 'jenks')).toEqual([1, 5, 9.8, 10]);
+    });
+
+    it('returns count + 1 ascending boundaries from the min to the max', () => {
+        for (const method of ['equal', 'quantile', 'jenks'] as const) {
+            const breaks = classBreaks(values, 4, method);
+            expect(breaks).toHaveLength(5);
+            expect(breaks[0]).toBe(1);
+            expect(breaks[4]).toBe(10);
+            breaks.forEach((b, k) => k > 0 && expect(b).toBeGreaterThan(breaks[k - 1]));
+        }
+    });
+
+    it('merges coinciding boundaries the same way for every method', () => {
+        for (const method of ['equal', 'quantile', 'jenks'] as const) {
+            const breaks = classBreaks([2, 2, 2, 2, 5], 4, method);
+            breaks.forEach((b, k) => k > 0 && expect(b).toBeGreaterThan(breaks[k - 1]));
+            expect(breaks[0]).toBe(2);
+            expect(breaks[breaks.length - 1]).toBe(5);
+            expect(classBreaks([3, 3, 3], 4, method)).toEqual([3, 3]);
+        }
+        expect(classBreaks([2, 2, 2, 2, 5], 4, 'jenks')).toEqual([2, 5]);
+    });
+
+    it('rejects empty inputs and class counts below 1', () => {
+        expect(() => classBreaks([NaN], 3)).toThrow('Cannot classify an empty set of values');
+        expect(() => classBreaks(values, 0)).toThrow('Class count must be at least 1');
+    });
+});
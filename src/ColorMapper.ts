@@ -13,22 +13,50 @@ export interface ColorStop {
     color: RGB;
 }
 
-export type ColorScheme = 'rainbow' | 'viridis' | 'plasma' | 'turbo' | 'thermal' | 'grayscale' | 'logarithmic' | 'twostep';
+export type ColorScheme = 'rainbow' | 'viridis' | 'plasma' | 'turbo' | 'thermal' | 'grayscale' | 'logarithmic' | 'twostep' | 'diverging';
 
 export type ColorMapFunction = (normalized: number) => RGB;
 
+export type ClassificationMethod = 'equal' | 'quantile' | 'jenks';
+
+export interface ColorMapperOptions {
+    breakpoints?: number[];           // Values spread evenly over the color ramp (continuous scale)
+    classes?: number[];               // Ascending class boundaries: one flat color per class
+    reverse?: boolean;                // Run the color ramp backwards
+    underColor?: RGB | null;          // Color below the min (default: first color)
+    overColor?: RGB | null;           // Color above the max (default: last color)
+    logOffset?: number;               // 'logarithmic': added to values before the log (default 0.001)
+    twostepBreak?: number;            // 'twostep': value splitting the two ranges (default 1)
+    twostepSplit?: number;            // 'twostep': share of the ramp below the break (default 0.7)
+}
+
+interface ValueStop {
+    value: number;
+    position: number;
+}
+
 export class ColorMapper {
     private minValue: number;
     private maxValue: number;
     private colorFunction: ColorMapFunction;
+    private options: ColorMapperOptions;
+    private logScale = false;
+    private twostep = false;
+    private valueStops: ValueStop[] | null = null;
 
     constructor(
         minValue: number,
         maxValue: number,
-        scheme: ColorScheme | ColorStop[] | ColorMapFunction = 'rainbow'
+        scheme: ColorScheme | ColorStop[] | ColorMapFunction = 'rainbow',
+        options: ColorMapperOptions = {}
     ) {
         this.minValue = minValue;
         this.maxValue = maxValue;
+        this.options = options;
+
+        if (options.classes && options.classes.some((b, k) => k > 0 && b < options.classes![k - 1])) {
+            throw new Error('Class boundaries must be in ascending order');
+        }
 
         if (typeof scheme === 'function') {
             // User-defined function
@@ -40,14 +68,65 @@ export class ColorMapper {
             // Predefined scheme
             this.colorFunction = this.getPredefinedScheme(scheme);
         }
+        this.updateStops();
     }
 
     /**
      * Map a value to an RGB color
      */
     public getColor(value: number): RGB {
-        const normalized = this.normalize(value);
-        return this.colorFunction(normalized);
+        if (value < this.minValue && this.options.underColor) {
+            return this.options.underColor;
+        }
+        if (value > this.maxValue && this.options.overColor) {
+            return this.options.overColor;
+        }
+
+        const position = this.position(value);
+        return this.colorFunction(this.options.reverse ? 1 - position : position);
+    }
+
+    /**
+     * Color ramp position (0 to 1) of a value
+     */
+    public position(value: number): number {
+        const classes = this.options.classes;
+        if (classes && classes.length > 1) {
+            const count = classes.length - 1;
+            let k = 0;
+            while (k < count - 1 && value >= classes[k + 1]) k++;
+            return count === 1 ? 0.5 : k / (count - 1);
+        }
+        const clamped = Math.max(this.minValue, Math.min(this.maxValue, value));
+        if (this.valueStops) {
+            return this.stopPosition(clamped);
+        }
+        if (this.logScale) {
+            const offset = this.options.logOffset ?? 0.001;
+            const logMin = Math.log10(this.minValue + offset);
+            const logMax = Math.log10(this.maxValue + offset);
+            const logValue = Math.log10(clamped + offset);
+            return logMax === logMin ? 0.5 : Math.max(0, Math.min(1, (logValue - logMin) / (logMax - logMin)));
+        }
+        return this.normalize(value);
+    }
+
+    /**
+     * Class boundaries of a classed scale, null for continuous scales
+     */
+    public getClasses(): number[] | null {
+        return this.options.classes && this.options.classes.length > 1 ? [...this.options.classes] : null;
+    }
+
+    /**
+     * Values where the color ramp changes pace (breakpoints, twostep break)
+     */
+    public getBreakpoints(): number[] {
+        return this.valueStops ? this.valueStops.map(stop => stop.value) : [];
+    }
+
+    public getOptions(): ColorMapperOptions {
+        return { ...this.options };
     }
 
     /**
@@ -67,6 +146,49 @@ export class ColorMapper {
         return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
     }
 
+    /**
+     * Piecewise-linear position through the value stops
+     */
+    private stopPosition(value: number): number {
+        const stops = this.valueStops!;
+        if (value <= stops[0].value) return stops[0].position;
+        const last = stops[stops.length - 1];
+        if (value >= last.value) return last.position;
+
+        let k = 0;
+        while (value > stops[k + 1].value) k++;
+        const t = (value - stops[k].value) / (stops[k + 1].value - stops[k].value);
+        return this.lerp(stops[k].position, stops[k + 1].position, t);
+    }
+
+    /**
+     * Value stops of the breakpoints, or of the twostep scheme (which
+     * depend on the max value)
+     */
+    private updateStops(): void {
+        let stops: ValueStop[] | null = null;
+        const breakpoints = this.options.breakpoints;
+        if (breakpoints && breakpoints.length > 1) {
+            const sorted = [...breakpoints].sort((a, b) => a - b);
+            stops = sorted.map((value, k) => ({ value, position: k / (sorted.length - 1) }));
+        } else if (this.twostep) {
+            const split = this.options.twostepSplit ?? 0.7;
+            stops = [
+                { value: 0, position: 0 },
+                { value: this.options.twostepBreak ?? 1, position: split },
+                { value: this.maxValue, position: 1 }
+            ];
+        }
+
+        // Drop stops that do not increase, which would divide by zero
+        this.valueStops = stops
+            ? stops.filter((stop, k) => k === 0 || stop.value > stops![k - 1].value)
+            : null;
+        if (this.valueStops && this.valueStops.length < 2) {
+            this.valueStops = null;
+        }
+    }
+
     /**
      * Normalize value to 0-1 range
      */
@@ -145,71 +267,29 @@ export class ColorMapper {
                 return this.logarithmicScheme();
             case 'twostep':
                 return this.twostepScheme();
+            case 'diverging':
+                return this.divergingScheme();
             default:
                 return this.rainbowScheme();
         }
     }
 
     /**
- * Logarithmic color scheme (for skewed data distributions)
- */
+     * Logarithmic color scheme (for skewed data distributions):
+     * viridis on log10(value + logOffset)
+     */
     private logarithmicScheme(): ColorMapFunction {
-        return (normalized: number): RGB => {
-            // Convert normalized (0-1) back to actual value
-            const value = this.minValue + normalized * (this.maxValue - this.minValue);
-
-            // Apply logarithmic scaling
-            const logMin = Math.log10(this.minValue + 0.001);
-            const logMax = Math.log10(this.maxValue + 0.001);
-            const logValue = Math.log10(value + 0.001);
-            const logNormalized = (logValue - logMin) / (logMax - logMin);
-
-            // Use viridis color scheme on log scale
-            const stops: ColorStop[] = [
-                { position: 0.00, color: { r: 68, g: 1, b: 84 } },
-                { position: 0.25, color: { r: 59, g: 82, b: 139 } },
-                { position: 0.50, color: { r: 33, g: 145, b: 140 } },
-                { position: 0.75, color: { r: 94, g: 201, b: 98 } },
-                { position: 1.00, color: { r: 253, g: 231, b: 37 } }
-            ];
-
-            // Interpolate color based on log-normalized value
-            const gradientFunc = this.createGradientFunction(stops);
-            return gradientFunc(logNormalized);
-        };
+        this.logScale = true;
+        return this.viridisScheme();
     }
 
     /**
-     * Two-step color scheme (0-1 gets 70% of colors, 1-max gets 30%)
+     * Two-step color scheme: plasma with 0 to twostepBreak on the first
+     * twostepSplit of the colors (70% below 1 by default), the rest above
      */
     private twostepScheme(): ColorMapFunction {
-        return (normalized: number): RGB => {
-            // Convert normalized (0-1) back to actual value
-            const value = this.minValue + normalized * (this.maxValue - this.minValue);
-
-            // Define two ranges with different color resolutions
-            let adjustedNormalized: number;
-            if (value <= 1) {
-                // 0-1 range: map to 0-0.7 of color scale (70% of colors)
-                adjustedNormalized = (value / 1.0) * 0.7;
-            } else {
-                // 1-max range: map to 0.7-1.0 of color scale (30% of colors)
-                adjustedNormalized = 0.7 + ((value - 1) / (this.maxValue - 1)) * 0.3;
-            }
-
-            // Use plasma color scheme
-            const stops: ColorStop[] = [
-                { position: 0.00, color: { r: 13, g: 8, b: 135 } },
-                { position: 0.25, color: { r: 126, g: 3, b: 168 } },
-                { position: 0.50, color: { r: 204, g: 71, b: 120 } },
-                { position: 0.75, color: { r: 248, g: 149, b: 64 } },
-                { position: 1.00, color: { r: 240, g: 249, b: 33 } }
-            ];
-
-            // Interpolate color
-            const gradientFunc = this.createGradientFunction(stops);
-            return gradientFunc(adjustedNormalized);
-        };
+        this.twostep = true;
+        return this.plasmaScheme();
     }
 
     /**
@@ -302,6 +382,21 @@ export class ColorMapper {
         return this.createGradientFunction(stops);
     }
 
+    /**
+     * Diverging color scheme (blue -> white -> red), for signed values
+     * such as differences: use a range centered on 0
+     */
+    private divergingScheme(): ColorMapFunction {
+        const stops: ColorStop[] = [
+            { position: 0.00, color: { r: 5, g: 48, b: 97 } },
+            { position: 0.25, color: { r: 67, g: 147, b: 195 } },
+            { position: 0.50, color: { r: 247, g: 247, b: 247 } },
+            { position: 0.75, color: { r: 214, g: 96, b: 77 } },
+            { position: 1.00, color: { r: 103, g: 0, b: 31 } }
+        ];
+        return this.createGradientFunction(stops);
+    }
+
     /**
      * Grayscale color scheme
      */
@@ -318,6 +413,7 @@ export class ColorMapper {
     public updateRange(minValue: number, maxValue: number): void {
         this.minValue = minValue;
         this.maxValue = maxValue;
+        this.updateStops();
     }
 
     /**
@@ -328,6 +424,121 @@ export class ColorMapper {
     }
 }
 
+const JENKS_MAX_VALUES = 1000; // Jenks is quadratic in the number of values: larger inputs are subsampled
+
+/**
+ * Class boundaries (count + 1 ascending values, from the min to the max)
+ * splitting values into classes by equal intervals, quantiles or Jenks
+ * natural breaks. NaN values are ignored.
+ *
+ * With fewer distinct values than classes, some boundaries coincide: they
+ * are merged whatever the method, so fewer than count + 1 boundaries are
+ * returned (never empty classes). A constant set gives the single class
+ * [value, value].
+ */
+export function classBreaks(
+    values: ArrayLike<number>,
+    count: number,
+    method: ClassificationMethod = 'equal'
+): number[] {
+    const sorted = Array.from(values).filter(v => !isNaN(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        throw new Error('Cannot classify an empty set of values');
+    }
+    if (!(count >= 1)) {
+        throw new Error('Class count must be at least 1');
+    }
+    count = Math.floor(count);
+
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    let inner: number[];
+
+    switch (method) {
+        case 'equal':
+            inner = Array.from({ length: count - 1 }, (_, k) => min + (k + 1) * (max - min) / count);
+            break;
+        case 'quantile':
+            inner = Array.from({ length: count - 1 }, (_, k) => quantile(sorted, (k + 1) / count));
+            break;
+        case 'jenks':
+            inner = jenksBreaks(sorted, count);
+            break;
+        default:
+            throw new Error(`Unknown classification method: ${method}`);
+    }
+
+    if (min === max) {
+        return [min, max];
+    }
+    return [min, ...inner, max].filter((b, k, all) => k === 0 || b > all[k - 1]);
+}
+
+/**
+ * Linear-interpolated quantile of sorted values
+ */
+function quantile(sorted: number[], p: number): number {
+    const position = p * (sorted.length - 1);
+    const lo = Math.floor(position);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (position - lo) * (sorted[hi] - sorted[lo]);
+}
+
+/**
+ * Inner boundaries of the Jenks natural breaks: the partition of the sorted
+ * values into classes minimizing the sum of within-class squared deviations
+ * (dynamic programming over class end points)
+ */
+function jenksBreaks(sorted: number[], count: number): number[] {
+    let values = sorted;
+    if (values.length > JENKS_MAX_VALUES) {
+        const step = (values.length - 1) / (JENKS_MAX_VALUES - 1);
+        values = Array.from({ length: JENKS_MAX_VALUES }, (_, k) => sorted[Math.round(k * step)]);
+    }
+    const n = values.length;
+    count = Math.min(count, n);
+
+    // Prefix sums give the squared deviation of any run values[i..j] in O(1)
+    const sum = new Float64Array(n + 1);
+    const sumSquares = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) {
+        sum[i + 1] = sum[i] + values[i];
+        sumSquares[i + 1] = sumSquares[i] + values[i] * values[i];
+    }
+    const deviation = (i: number, j: number) => {
+        const s = sum[j + 1] - sum[i];
+        return sumSquares[j + 1] - sumSquares[i] - s * s / (j - i + 1);
+    };
+
+    // cost[c][j]: best cost of values[0..j] in c + 1 classes, start[c][j]: first index of the last class
+    const cost = Array.from({ length: count }, () => new Float64Array(n).fill(Infinity));
+    const start = Array.from({ length: count }, () => new Int32Array(n));
+    for (let j = 0; j < n; j++) {
+        cost[0][j] = deviation(0, j);
+    }
+    for (let c = 1; c < count; c++) {
+        for (let j = c; j < n; j++) {
+            for (let i = c; i <= j; i++) {
+                const candidate = cost[c - 1][i - 1] + deviation(i, j);
+                if (candidate < cost[c][j]) {
+                    cost[c][j] = candidate;
+                    start[c][j] = i;
+                }
+            }
+        }
+    }
+
+    // Walk back the class starts; boundaries sit at the first value of each class
+    const inner: number[] = [];
+    let j = n - 1;
+    for (let c = count - 1; c > 0; c--) {
+        const i = start[c][j];
+        inner.unshift(values[i]);
+        j = i - 1;
+    }
+    return inner;
+}
+
 /**
  * Helper function to create a custom color mapper with stops
  */
@@ -0,0 +1,222 @@
+/**
+ * Map View - Leaflet basemap with the interpolated surface and samples
+ *
+ * The surface is an image overlay positioned by its `Bounds`. Two base
+ * layers are offered: OpenStreetMap tiles and a blank background for
+ * offline use, both with a lat/lon graticule on top so the map keeps its
+ * geographic context when tiles cannot be fetched.
+ */
+
+import L from 'leaflet';
+import { DataPoint, Bounds } from './interpolation.types';
+import { ColorMapper } from './ColorMapper';
+import { MapViewState } from './session';
+import { niceStep } from './projection';
+import { QualityIssue, QualityIssueType } from './quality';
+
+export type ViewChangeCallback = (extent: Bounds) => void;
+
+// Ring color of the samples flagged by each quality check
+const FLAG_COLORS: Record<QualityIssueType, string> = {
+    range: '#d62728',
+    duplicate: '#ff7f0e',
+    outlier: '#9467bd'
+};
+
+export class MapView {
+    private map: L.Map;
+    private surface: L.ImageOverlay | null = null;
+    private points: L.LayerGroup;
+    private flags: L.LayerGroup;
+    private graticule: L.LayerGroup;
+    private listeners: ViewChangeCallback[] = [];
+
+    constructor(container: HTMLElement | string) {
+        this.map = L.map(container, { zoomSnap: 0.25 });
+
+        const osm = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '&copy; OpenStreetMap contributors'
+        });
+        const blank = L.gridLayer();
+
+        // Fall back to the blank background when tiles cannot be loaded
+        osm.once('tileerror', () => {
+            if (this.map.hasLayer(osm)) {
+                this.map.removeLayer(osm);
+                blank.addTo(this.map);
+            }
+        });
+
+        this.points = L.layerGroup();
+        this.flags = L.layerGroup();
+        this.graticule = L.layerGroup();
+
+        osm.addTo(this.map);
+        this.graticule.addTo(this.map);
+        this.points.addTo(this.map);
+        this.flags.addTo(this.map);
+
+        L.control.layers(
+            { 'OpenStreetMap': osm, 'Blank (offline)': blank },
+            { 'Samples': this.points, 'QA flags': this.flags, 'Lat/Lon grid': this.graticule }
+        ).addTo(this.map);
+        L.control.scale().addTo(this.map);
+
+        this.map.on('moveend', () => {
+            this.drawGraticule();
+            const extent = this.getExtent();
+            this.listeners.forEach(listener => listener(extent));
+        });
+    }
+
+    /**
+     * Zoom to an extent
+     */
+    public fitBounds(bounds: Bounds): void {
+        const [minLon, minLat, maxLon, maxLat] = bounds;
+        this.map.fitBounds([[minLat, minLon], [maxLat, maxLon]], { padding: [20, 20] });
+    }
+
+    /**
+     * Get the currently visible extent
+     */
+    public getExtent(): Bounds {
+        const b = this.map.getBounds();
+        return [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()];
+    }
+
+    /**
+     * Center and zoom level of the map
+     */
+    public getView(): MapViewState {
+        const center = this.map.getCenter();
+        return { lon: center.lng, lat: center.lat, zoom: this.map.getZoom() };
+    }
+
+    /**
+     * Restore a center and zoom level
+     */
+    public setView(view: MapViewState): void {
+        this.map.setView([view.lat, view.lon], view.zoom);
+    }
+
+    /**
+     * Register a callback fired after every pan or zoom
+     */
+    public onViewChange(callback: ViewChangeCallback): void {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Display an interpolated surface image covering the given bounds
+     */
+    public setSurface(imageUrl: string, bounds: Bounds, opacity: number = 0.75): void {
+        const [minLon, minLat, maxLon, maxLat] = bounds;
+        const latLngBounds = L.latLngBounds([minLat, minLon], [maxLat, maxLon]);
+
+        if (this.surface) {
+            this.surface.setUrl(imageUrl);
+            this.surface.setBounds(latLngBounds);
+            this.surface.setOpacity(opacity);
+        } else {
+            this.surface = L.imageOverlay(imageUrl, latLngBounds, { opacity }).addTo(this.map);
+        }
+    }
+
+    /**
+     * Remove the surface overlay
+     */
+    public clearSurface(): void {
+        if (this.surface) {
+            this.map.removeLayer(this.surface);
+            this.surface = null;
+        }
+    }
+
+    /**
+     * Draw the samples as markers colored like the surface
+     */
+    public setPoints(data: DataPoint[], colorMapper: ColorMapper): void {
+        this.points.clearLayers();
+
+        for (const point of data) {
+            L.circleMarker([point.lat, point.lon], {
+                radius: 5,
+                color: '#333',
+                weight: 1,
+                fillColor: colorMapper.getColorHex(point.h2),
+                fillOpacity: 1
+            })
+                .bindTooltip(`${point.h2.toFixed(2)} ppm<br>${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}`)
+                .addTo(this.points);
+        }
+    }
+
+    /**
+     * Ring the samples involved in quality issues, colored by issue type
+     */
+    public setFlags(issues: QualityIssue[]): void {
+        this.flags.clearLayers();
+
+        for (const issue of issues) {
+            for (const point of issue.points) {
+                L.circleMarker([point.lat, point.lon], {
+                    radius: 9,
+                    color: FLAG_COLORS[issue.type],
+                    weight: 2,
+                    fill: false
+                })
+                    .bindTooltip(issue.message)
+                    .addTo(this.flags);
+            }
+        }
+    }
+
+    /**
+     * Center the map on a location, zooming in if needed
+     */
+    public focus(lon: number, lat: number, minZoom: number = 15): void {
+        this.map.setView([lat, lon], Math.max(this.map.getZoom(), minZoom));
+    }
+
+    /**
+     * Get the underlying Leaflet map
+     */
+    public getMap(): L.Map {
+        return this.map;
+    }
+
+    /**
+     * Draw lat/lon lines with a spacing adapted to the zoom level
+     */
+    private drawGraticule(): void {
+        this.graticule.clearLayers();
+
+        const [minLon, minLat, maxLon, maxLat] = this.getExtent();
+        const step = niceStep(Math.max(maxLon - minLon, maxLat - minLat) / 6);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        const style = { color: '#555', weight: 0.5, opacity: 0.6, interactive: false };
+
+        for (let lon = Math.ceil(minLon / step) * step; lon <= maxLon; lon += step) {
+            L.polyline([[minLat, lon], [maxLat, lon]], style).addTo(this.graticule);
+            this.addLabel([minLat, lon], `${lon.toFixed(decimals)}°`, 'bottom');
+        }
+        for (let lat = Math.ceil(minLat / step) * step; lat <= maxLat; lat += step) {
+            L.polyline([[lat, minLon], [lat, maxLon]], style).addTo(this.graticule);
+            this.addLabel([lat, minLon], `${lat.toFixed(decimals)}°`, 'right');
+        }
+    }
+
+    private addLabel(position: L.LatLngExpression, text: string, direction: 'bottom' | 'right'): void {
+        L.tooltip({
+            permanent: true,
+            direction: direction === 'bottom' ? 'top' : 'right',
+            className: 'graticule-label',
+            interactive: false
+        })
+            .setLatLng(position)
+            .setContent(text)
+            .addTo(this.graticule);
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Worker Pool - Interpolation off the main thread
+ *
+ * Models (data + algorithm + parameters) are registered once and built
+ * lazily inside every worker that needs them. Grids are split into tiles
+ * handed to idle workers one at a time, so cancelling a task only wastes
+ * the tiles already in flight. Probes jump ahead of queued tiles to keep
+ * the cursor readout responsive during a render. Simulations are split
+ * the same way, one realization per request. Cross-validation runs in a
+ * single request per model.
+ */
+
+import { DataPoint, Bounds, InterpolationAlgorithm, InterpolationParams, DisplayMode, ValueGrid } from './interpolation.types';
+import { VariogramParameters } from './kriging';
+import { VariogramBin, DirectionalVariogram, VariogramMap } from './variogram';
+import { GridTile, splitTiles, writeTile } from './grid';
+import { CrossValidationResult } from './crossValidation';
+
+export interface ModelInfo {
+    algorithm: InterpolationAlgorithm;
+    parameters: VariogramParameters | null;   // Kriging only
+    variogram: VariogramBin[] | null;         // Kriging only
+    directional: DirectionalVariogram[] | null; // Kriging only
+    variogramMap: VariogramMap | null;        // Kriging only
+}
+
+export interface ProbeResult {
+    value: number;
+    variance: number | null;    // Kriging only
+    weights: number[] | null;   // Sample weights, when requested
+}
+
+export interface GridRequest {
+    bounds: Bounds;
+    gridWidth: number;
+    gridHeight: number;
+    displayMode?: DisplayMode;
+    threshold?: number;         // Display mode 'exceedance' only
+    tileSize?: number;          // Default 25 cells
+}
+
+export interface GridCallbacks {
+    onTile?: (grid: ValueGrid, tile: GridTile) => void;   // Grid filled so far, NaN elsewhere
+    onProgress?: (done: number, total: number) => void;
+}
+
+export interface GridTask {
+    promise: Promise<ValueGrid>;
+    cancel(): void;
+}
+
+export interface SimulationRequest {
+    bounds: Bounds;
+    gridWidth: number;
+    gridHeight: number;
+    count: number;              // Number of realizations
+    seed?: number;              // Realization k uses seed + k (default 1)
+}
+
+export interface SimulationCallbacks {
+    onRealization?: (grid: ValueGrid, index: number) => void;
+    onProgress?: (done: number, total: number) => void;
+}
+
+export interface SimulationTask {
+    promise: Promise<ValueGrid[]>;
+    cancel(): void;
+}
+
+/**
+ * Messages understood by the worker
+ */
+export type WorkerRequest =
+    | { type: 'model'; modelId: number; data: DataPoint[]; algorithm: InterpolationAlgorithm; params: InterpolationParams }
+    | { type: 'release'; modelId: number }
+    | { type: 'tile'; requestId: number; modelId: number; bounds: Bounds; gridWidth: number; gridHeight: number; displayMode: DisplayMode; threshold?: number; tile: GridTile }
+    | { type: 'probe'; requestId: number; modelId: number; lon: number; lat: number; weights: boolean }
+    | { type: 'describe'; requestId: number; modelId: number }
+    | { type: 'simulate'; requestId: number; modelId: number; bounds: Bounds; gridWidth: number; gridHeight: number; seed: number }
+    | { type: 'crossValidate'; requestId: number; modelId: number };
+
+/**
+ * Messages posted back by the worker
+ */
+export type WorkerResponse =
+    | { type: 'tile'; requestId: number; values: Float32Array }
+    | { type: 'probe'; requestId: number; result: ProbeResult }
+    | { type: 'describe'; requestId: number; info: ModelInfo }
+    | { type: 'simulation'; requestId: number; values: Float32Array }
+    | { type: 'crossValidation'; requestId: number; result: CrossValidationResult }
+    | { type: 'error'; requestId: number; message: string };
+
+/**
+ * Rejection reason of cancelled tasks
+ */
+export class TaskCancelledError extends Error {
+    constructor() {
+        super('Task cancelled');
+        this.name = 'TaskCancelledError';
+    }
+}
+
+interface PendingRequest {
+    message: Extract<WorkerRequest, { requestId: number }>;
+    taskId: number;
+    resolve: (response: WorkerResponse) => void;
+    reject: (error: Error) => void;
+}
+
+interface PoolWorker {
+    worker: Worker;
+    busy: PendingRequest | null;
+}
+
+export class InterpolationWorkerPool {
+    private workers: PoolWorker[] = [];
+    private queue: PendingRequest[] = [];
+    private models = new Map<number, Extract<WorkerRequest, { type: 'model' }>>();
+    private nextId = 1;
+
+    constructor(
+        size: number = defaultPoolSize(),
+        createWorker: () => Worker = () => new Worker(new URL('./interpolation.worker.ts', import.meta.url), { type: 'module' })
+    ) {
+        for (let k = 0; k < size; k++) {
+            const entry: PoolWorker = { worker: createWorker(), busy: null };
+            entry.worker.onmessage = (event: MessageEvent<WorkerResponse>) => this.handleResponse(entry, event.data);
+            entry.worker.onerror = (event: ErrorEvent) => {
+                const request = entry.busy;
+                entry.busy = null;
+                request?.reject(new Error(event.message));
+                this.dispatch();
+            };
+            this.workers.push(entry);
+        }
+    }
+
+    /**
+     * Register a model and return its id. Every worker receives a copy of
+     * the data and builds the model on first use.
+     */
+    public createModel(data: DataPoint[], algorithm: InterpolationAlgorithm = 'kriging', params: InterpolationParams = {}): number {
+        const message = { type: 'model' as const, modelId: this.nextId++, data, algorithm, params };
+        this.models.set(message.modelId, message);
+        this.workers.forEach(({ worker }) => worker.postMessage(message));
+        return message.modelId;
+    }
+
+    /**
+     * Free a model in every worker
+     */
+    public releaseModel(modelId: number): void {
+        if (!this.models.delete(modelId)) {
+            return;
+        }
+
+        this.queue = this.queue.filter(request => {
+            if (request.message.modelId !== modelId) return true;
+            request.reject(new TaskCancelledError());
+            return false;
+        });
+        this.workers.forEach(({ worker }) => worker.postMessage({ type: 'release', modelId }));
+    }
+
+    /**
+     * Variogram parameters of a model (fitted in a worker)
+     */
+    public describe(modelId: number): Promise<ModelInfo> {
+        const requestId = this.nextId++;
+        return this.request({ type: 'describe', requestId, modelId }, requestId, true)
+            .then(response => (response as Extract<WorkerResponse, { type: 'describe' }>).info);
+    }
+
+    /**
+     * Value, variance and optionally sample weights at one location
+     */
+    public probe(modelId: number, lon: number, lat: number, weights: boolean = false): Promise<ProbeResult> {
+        const requestId = this.nextId++;
+        return this.request({ type: 'probe', requestId, modelId, lon, lat, weights }, requestId, true)
+            .then(response => (response as Extract<WorkerResponse, { type: 'probe' }>).result);
+    }
+
+    /**
+     * Interpolate a grid tile by tile. Tiles are reported as they arrive;
+     * the promise resolves with the complete grid, or rejects with
+     * TaskCancelledError once cancel() is called.
+     */
+    public computeGrid(modelId: number, request: GridRequest, callbacks: GridCallbacks = {}): GridTask {
+        const taskId = this.nextId++;
+        const { bounds, gridWidth, gridHeight } = request;
+        const displayMode = request.displayMode ?? 'estimate';
+        const threshold = request.threshold;
+        const tiles = splitTiles(gridWidth, gridHeight, request.tileSize ?? 25);
+
+        const grid: ValueGrid = {
+            values: new Float32Array(gridWidth * gridHeight).fill(NaN),
+            width: gridWidth,
+            height: gridHeight,
+            bounds
+        };
+
+        let done = 0;
+        let cancelled = false;
+        const cancel = () => {
+            cancelled = true;
+            this.cancelTask(taskId);
+        };
+
+        const promise = Promise.all(tiles.map(tile =>
+            this.request({ type: 'tile', requestId: this.nextId++, modelId, bounds, gridWidth, gridHeight, displayMode, threshold, tile }, taskId, false)
+                .then(response => {
+                    if (cancelled) return;
+                    writeTile(grid, tile, (response as Extract<WorkerResponse, { type: 'tile' }>).values);
+                    done++;
+                    callbacks.onTile?.(grid, tile);
+                    callbacks.onProgress?.(done, tiles.length);
+                })
+        )).then(() => grid);
+
+        // A failed tile abandons the rest of the task
+        promise.catch(cancel);
+
+        return { promise, cancel };
+    }
+
+    /**
+     * Sequential Gaussian simulation: realizations run in parallel and are
+     * reported as they arrive, the promise resolves with all of them in
+     * order. Realizations are reproducible for a given seed.
+     */
+    public simulate(modelId: number, request: SimulationRequest, callbacks: SimulationCallbacks = {}): SimulationTask {
+        const taskId = this.nextId++;
+        const { bounds, gridWidth, gridHeight, count } = request;
+        const seed = request.seed ?? 1;
+
+        let done = 0;
+        let cancelled = false;
+        const cancel = () => {
+            cancelled = true;
+            this.cancelTask(taskId);
+        };
+
+        const promise = Promise.all(Array.from({ length: count }, (_, k) =>
+            this.request({ type: 'simulate', requestId: this.nextId++, modelId, bounds, gridWidth, gridHeight, seed: seed + k }, taskId, false)
+                .then(response => {
+                    const grid: ValueGrid = {
+                        values: (response as Extract<WorkerResponse, { type: 'simulation' }>).values,
+                        width: gridWidth,
+                        height: gridHeight,
+                        bounds
+                    };
+                    if (!cancelled) {
+                        done++;
+                        callbacks.onRealization?.(grid, k);
+                        callbacks.onProgress?.(done, count);
+                    }
+                    return grid;
+                })
+        ));
+
+        promise.catch(cancel);
+
+        return { promise, cancel };
+    }
+
+    /**
+     * Leave-one-out cross-validation of a model, rebuilt on its data minus
+     * each sample in turn. Rejects if the model cannot be fitted.
+     */
+    public crossValidate(modelId: number): Promise<CrossValidationResult> {
+        const requestId = this.nextId++;
+        return this.request({ type: 'crossValidate', requestId, modelId }, requestId, false)
+            .then(response => (response as Extract<WorkerResponse, { type: 'crossValidation' }>).result);
+    }
+
+    /**
+     * Stop all workers. The pool cannot be used afterwards.
+     */
+    public terminate(): void {
+        this.queue.forEach(request => request.reject(new TaskCancelledError()));
+        this.queue = [];
+        this.workers.forEach(({ worker, busy }) => {
+            worker.terminate();
+            busy?.reject(new TaskCancelledError());
+        });
+        this.workers = [];
+    }
+
+    private cancelTask(taskId: number): void {
+        this.queue = this.queue.filter(request => {
+            if (request.taskId !== taskId) return true;
+            request.reject(new TaskCancelledError());
+            return false;
+        });
+        // In-flight tiles are dropped when they come back (already settled)
+        for (const { busy } of this.workers) {
+            if (busy && busy.taskId === taskId) {
+                busy.reject(new TaskCancelledError());
+            }
+        }
+    }
+
+    private request(message: PendingRequest['message'], taskId: number, priority: boolean): Promise<WorkerResponse> {
+        if (!this.models.has(message.modelId)) {
+            return Promise.reject(new Error(`Unknown model ${message.modelId}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const pending = { message, taskId, resolve, reject };
+            if (priority) {
+                this.queue.unshift(pending);
+            } else {
+                this.queue.push(pending);
+            }
+            this.dispatch();
+        });
+    }
+
+    private dispatch(): void {
+        for (const entry of this.workers) {
+            if (entry.busy || this.queue.length === 0) continue;
+            const request = this.queue.shift()!;
+            entry.busy = request;
+            entry.worker.postMessage(request.message);
+        }
+    }
+
+    private handleResponse(entry: PoolWorker, response: WorkerResponse): void {
+        const request = entry.busy;
+        entry.busy = null;
+
+        if (request && request.message.requestId === response.requestId) {
+            if (response.type === 'error') {
+                request.reject(new Error(response.message));
+            } else {
+                request.resolve(response);
+            }
+        }
+
+        this.dispatch();
+    }
+}
+
+function defaultPoolSize(): number {
+    const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+    return Math.max(1, Math.min(4, cores - 1));
+}
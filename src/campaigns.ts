@@ -0,0 +1,51 @@
+/**
+ * Campaigns - Samples grouped by survey campaign or date
+ *
+ * Sites are resampled over time and each campaign is interpolated on its
+ * own. Campaigns are ordered chronologically when every label is an ISO
+ * date (e.g. 2024-03 or 2024-03-15T08:00), by natural order otherwise
+ * ("survey 2" before "survey 10").
+ */
+
+import { DataPoint } from './interpolation.types';
+
+export interface Campaign {
+    label: string;          // Empty for samples without campaign
+    time: number | null;    // Milliseconds since the epoch, when the label is a date
+    points: DataPoint[];
+}
+
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?)?$/;
+
+/**
+ * Split samples into campaigns, in time order. Samples without campaign
+ * form a single campaign.
+ */
+export function groupCampaigns(points: DataPoint[]): Campaign[] {
+    const byLabel = new Map<string, DataPoint[]>();
+    for (const point of points) {
+        const label = point.campaign ?? '';
+        let group = byLabel.get(label);
+        if (!group) {
+            group = [];
+            byLabel.set(label, group);
+        }
+        group.push(point);
+    }
+
+    const campaigns = [...byLabel].map(([label, group]) => ({ label, time: parseDate(label), points: group }));
+    if (campaigns.every(campaign => campaign.time !== null)) {
+        return campaigns.sort((a, b) => a.time! - b.time!);
+    }
+    return campaigns
+        .map(campaign => ({ ...campaign, time: null }))
+        .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+}
+
+function parseDate(label: string): number | null {
+    if (!ISO_DATE.test(label.trim())) {
+        return null;
+    }
+    const time = Date.parse(label.trim().replace(' ', 'T'));
+    return isNaN(time) ? null : time;
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { Position, contoursToGeoJSON, isobands, isolines } from './contours';
+import { ValueGrid } from './interpolation.types';
+
+// 5 x 4 cells over [0, 0, 5, 4]: nodes at the cell centers, valued by their longitude
+function ramp(): ValueGrid & { values: Float32Array } {
+    const width = 5, height = 4;
+    const values = new Float32Array(width * height);
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            values[j * width + i] = i + 0.5;
+        }
+    }
+    return { values, width, height, bounds: [0, 0, 5, 4] };
+}
+
+function ringArea(ring: Position[]): number {
+    let area = 0;
+    for (let k = 0; k < ring.length - 1; k++) {
+        area += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+    }
+    return Math.abs(area) / 2;
+}
+
+describe('isolines', () => {
+    it('traces a straight line where a ramp crosses the level', () => {
+        const [line] = isolines(ramp(), [2.2]);
+        expect(line.level).toBe(2.2);
+        expect(line.lines).toHaveLength(1);
+        const lats = line.lines[0].map(([lon, lat]) => {
+            expect(lon).toBeCloseTo(2.2, 6);
+            return lat;
+        });
+        // From the northern to the southern row of nodes
+        expect(Math.min(...lats)).toBeCloseTo(0.5, 12);
+        expect(Math.max(...lats)).toBeCloseTo(3.5, 12);
+    });
+
+    it('sorts the levels and leaves levels outside the data empty', () => {
+        const lines = isolines(ramp(), [3, 10, 1]);
+        expect(lines.map(l => l.level)).toEqual([1, 3, 10]);
+        expect(lines[2].lines).toEqual([]);
+    });
+
+    it('skips cells with masked nodes', () => {
+        const grid = ramp();
+        for (let j = 0; j < 4; j++) grid.values[j * 5 + 2] = NaN;
+        expect(isolines(grid, [2.2])[0].lines).toEqual([]);
+    });
+});
+
+describe('isobands', () => {
+    it('splits the node hull into bands that cover it exactly', () => {
+        const bands = isobands(ramp(), [2.2, 3.7]);
+        expect(bands.map(b => [b.lower, b.upper])).toEqual([[-Infinity, 2.2], [2.2, 3.7], [3.7, Infinity]]);
+
+        const areas = bands.map(band => band.polygons.reduce((sum, [outer, ...holes]) =>
+            sum + ringArea(outer) - holes.reduce((h, hole) => h + ringArea(hole), 0), 0));
+        expect(areas[0]).toBeCloseTo((2.2 - 0.5) * 3, 6);
+        expect(areas[1]).toBeCloseTo((3.7 - 2.2) * 3, 6);
+        expect(areas[0] + areas[1] + areas[2]).toBeCloseTo(4 * 3, 6);
+    });
+});
+
+describe('contoursToGeoJSON', () => {
+    it('writes bands as MultiPolygons and lines as MultiLineStrings', () => {
+        const geojson = contoursToGeoJSON(isolines(ramp(), [2.2]), isobands(ramp(), [2.2])) as any;
+        expect(geojson.type).toBe('FeatureCollection');
+        expect(geojson.features.map((f: any) => f.geometry.type)).toEqual(['MultiPolygon', 'MultiPolygon', 'MultiLineString']);
+        expect(geojson.features[0].properties).toEqual({ type: 'isoband', lower: null, upper: 2.2 });
+        expect(geojson.features[2].properties).toEqual({ type: 'isoline', level: 2.2 });
+    });
+});
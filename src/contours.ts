@@ -0,0 +1,414 @@
+/**
+ * Contours - Isolines and filled isobands by marching squares
+ *
+ * The grid nodes are the cell centers of a `ValueGrid`. Isolines are
+ * traced cell by cell and the segments are chained into polylines.
+ * Isobands are built by clipping every cell against the band limits and
+ * dissolving the pieces: edges shared by two pieces cancel out and the
+ * remaining boundary edges are chained into rings.
+ *
+ * Crossing points are keyed by the grid edge they lie on, so neighboring
+ * cells always produce exactly the same vertices.
+ */
+
+import { ValueGrid } from './interpolation.types';
+import { cellCenter } from './grid';
+
+export type Position = [number, number]; // [lon, lat]
+
+export interface Isoline {
+    level: number;
+    lines: Position[][];
+}
+
+export interface Isoband {
+    lower: number;            // -Infinity for the band below the first level
+    upper: number;            // Infinity for the band above the last level
+    polygons: Position[][][]; // Each polygon is [outer ring, ...holes]
+}
+
+interface Vertex {
+    key: string;
+    position: Position;
+    value: number;
+}
+
+/**
+ * Trace isolines at the given levels
+ */
+export function isolines(grid: ValueGrid, levels: number[]): Isoline[] {
+    return [...levels].sort((a, b) => a - b).map(level => ({
+        level,
+        lines: traceLevel(grid, level)
+    }));
+}
+
+/**
+ * Build filled bands between consecutive levels, plus the open bands
+ * below the first level and above the last one
+ */
+export function isobands(grid: ValueGrid, levels: number[]): Isoband[] {
+    const sorted = [...new Set(levels)].sort((a, b) => a - b);
+    const limits = [-Infinity, ...sorted, Infinity];
+    const bands: Isoband[] = [];
+
+    for (let b = 0; b < limits.length - 1; b++) {
+        const lower = limits[b];
+        const upper = limits[b + 1];
+        const polygons = buildBand(grid, lower, upper);
+        if (polygons.length > 0) {
+            bands.push({ lower, upper, polygons });
+        }
+    }
+
+    return bands;
+}
+
+/**
+ * Convert contours into a GeoJSON FeatureCollection
+ */
+export function contoursToGeoJSON(lines: Isoline[], bands: Isoband[] = []): object {
+    const features: object[] = [];
+
+    for (const band of bands) {
+        features.push({
+            type: 'Feature',
+            properties: {
+                type: 'isoband',
+                lower: isFinite(band.lower) ? band.lower : null,
+                upper: isFinite(band.upper) ? band.upper : null
+            },
+            geometry: { type: 'MultiPolygon', coordinates: band.polygons }
+        });
+    }
+
+    for (const line of lines) {
+        features.push({
+            type: 'Feature',
+            properties: { type: 'isoline', level: line.level },
+            geometry: { type: 'MultiLineString', coordinates: line.lines }
+        });
+    }
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Marching squares for a single level
+ */
+function traceLevel(grid: ValueGrid, level: number): Position[][] {
+    const { width, height } = grid;
+    const points = new Map<string, Position>();
+    const segments: [string, string][] = [];
+
+    // Crossing point on the edge between two nodes
+    const crossing = (i1: number, j1: number, i2: number, j2: number): string => {
+        const key = edgeKey(i1, j1, i2, j2);
+        if (!points.has(key)) {
+            points.set(key, interpolatePosition(grid, i1, j1, i2, j2, level));
+        }
+        return key;
+    };
+
+    for (let j = 0; j < height - 1; j++) {
+        for (let i = 0; i < width - 1; i++) {
+            const tl = valueAt(grid, i, j);
+            const tr = valueAt(grid, i + 1, j);
+            const br = valueAt(grid, i + 1, j + 1);
+            const bl = valueAt(grid, i, j + 1);
+            if (isNaN(tl) || isNaN(tr) || isNaN(br) || isNaN(bl)) continue;
+
+            const index = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0)
+                | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0);
+            if (index === 0 || index === 15) continue;
+
+            const top = () => crossing(i, j, i + 1, j);
+            const right = () => crossing(i + 1, j, i + 1, j + 1);
+            const bottom = () => crossing(i, j + 1, i + 1, j + 1);
+            const left = () => crossing(i, j, i, j + 1);
+            const centerHigh = (tl + tr + br + bl) / 4 >= level;
+
+            switch (index) {
+                case 1: case 14: segments.push([left(), bottom()]); break;
+                case 2: case 13: segments.push([bottom(), right()]); break;
+                case 3: case 12: segments.push([left(), right()]); break;
+                case 4: case 11: segments.push([top(), right()]); break;
+                case 6: case 9: segments.push([top(), bottom()]); break;
+                case 7: case 8: segments.push([left(), top()]); break;
+                case 5:
+                    if (centerHigh) {
+                        segments.push([left(), top()], [bottom(), right()]);
+                    } else {
+                        segments.push([top(), right()], [left(), bottom()]);
+                    }
+                    break;
+                case 10:
+                    if (centerHigh) {
+                        segments.push([top(), right()], [left(), bottom()]);
+                    } else {
+                        segments.push([left(), top()], [bottom(), right()]);
+                    }
+                    break;
+            }
+        }
+    }
+
+    return chainSegments(segments).map(keys => keys.map(key => points.get(key)!));
+}
+
+/**
+ * Join undirected segments sharing endpoints into polylines
+ */
+function chainSegments(segments: [string, string][]): string[][] {
+    const adjacency = new Map<string, number[]>();
+    segments.forEach(([a, b], index) => {
+        for (const key of [a, b]) {
+            if (!adjacency.has(key)) adjacency.set(key, []);
+            adjacency.get(key)!.push(index);
+        }
+    });
+
+    const used = new Array(segments.length).fill(false);
+    const lines: string[][] = [];
+
+    const extend = (line: string[]) => {
+        for (;;) {
+            const last = line[line.length - 1];
+            const next = adjacency.get(last)!.find(index => !used[index]);
+            if (next === undefined) return;
+            used[next] = true;
+            const [a, b] = segments[next];
+            line.push(a === last ? b : a);
+        }
+    };
+
+    // Open lines first (start at an endpoint), then closed loops
+    const order = [...adjacency.keys()].sort((a, b) =>
+        (adjacency.get(a)!.length === 1 ? 0 : 1) - (adjacency.get(b)!.length === 1 ? 0 : 1));
+
+    for (const start of order) {
+        for (const index of adjacency.get(start)!) {
+            if (used[index]) continue;
+            used[index] = true;
+            const [a, b] = segments[index];
+            const line = a === start ? [a, b] : [b, a];
+            extend(line);
+            lines.push(line);
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Build the polygons of the band lower <= value < upper
+ */
+function buildBand(grid: ValueGrid, lower: number, upper: number): Position[][][] {
+    const { width, height } = grid;
+    const positions = new Map<string, Position>();
+    const edges = new Map<string, [string, string]>();
+
+    const addEdge = (a: string, b: string) => {
+        if (a === b) return;
+        const reverse = `${b}>${a}`;
+        if (edges.has(reverse)) {
+            edges.delete(reverse); // Interior edge shared with a neighbor
+        } else {
+            edges.set(`${a}>${b}`, [a, b]);
+        }
+    };
+
+    for (let j = 0; j < height - 1; j++) {
+        for (let i = 0; i < width - 1; i++) {
+            // Cell corners, counterclockwise in lon/lat
+            let polygon: Vertex[] = [
+                nodeVertex(grid, i, j),
+                nodeVertex(grid, i, j + 1),
+                nodeVertex(grid, i + 1, j + 1),
+                nodeVertex(grid, i + 1, j)
+            ];
+            if (polygon.some(v => isNaN(v.value))) continue;
+
+            if (isFinite(lower)) {
+                polygon = clip(grid, polygon, lower, true);
+            }
+            if (isFinite(upper)) {
+                polygon = clip(grid, polygon, upper, false);
+            }
+            if (polygon.length < 3) continue;
+
+            for (let k = 0; k < polygon.length; k++) {
+                const a = polygon[k];
+                const b = polygon[(k + 1) % polygon.length];
+                positions.set(a.key, a.position);
+                addEdge(a.key, b.key);
+            }
+        }
+    }
+
+    const rings = chainRings([...edges.values()])
+        .map(keys => dedupe(keys.map(key => positions.get(key)!)))
+        .filter(ring => ring.length >= 4);
+
+    return assembleRings(rings);
+}
+
+/**
+ * Sutherland-Hodgman clipping of a cell polygon against value >= level
+ * (keepAbove) or value < level. Vertices carry their grid-edge key so the
+ * inserted points match those of neighboring cells.
+ */
+function clip(grid: ValueGrid, polygon: Vertex[], level: number, keepAbove: boolean): Vertex[] {
+    const inside = (v: Vertex) => keepAbove ? v.value >= level : v.value < level;
+    const result: Vertex[] = [];
+
+    for (let k = 0; k < polygon.length; k++) {
+        const current = polygon[k];
+        const previous = polygon[(k + polygon.length - 1) % polygon.length];
+
+        if (inside(current) !== inside(previous)) {
+            result.push(crossingVertex(grid, previous, current, level));
+        }
+        if (inside(current)) {
+            result.push(current);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Point where the value equals `level` between two vertices of a clipped
+ * cell. Both lie on the same grid edge (a node and a crossing, or two
+ * nodes), so the point is computed and keyed from that edge.
+ */
+function crossingVertex(grid: ValueGrid, a: Vertex, b: Vertex, level: number): Vertex {
+    const nodes = [...new Set([...edgeNodes(a), ...edgeNodes(b)])].sort();
+    const [[i1, j1], [i2, j2]] = nodes.map(n => n.split(',').map(Number));
+
+    return {
+        key: `${nodes.join('|')}@${level}`,
+        position: interpolatePosition(grid, i1, j1, i2, j2, level),
+        value: level
+    };
+}
+
+/**
+ * Grid nodes a vertex belongs to: itself for a node, the edge ends otherwise
+ */
+function edgeNodes(v: Vertex): string[] {
+    return v.key.startsWith('n') ? [v.key.slice(1)] : v.key.split('@')[0].split('|');
+}
+
+function nodeVertex(grid: ValueGrid, i: number, j: number): Vertex {
+    const { lon, lat } = cellCenter(grid.bounds, grid.width, grid.height, i, j);
+    return { key: `n${i},${j}`, position: [lon, lat], value: valueAt(grid, i, j) };
+}
+
+/**
+ * Join directed edges into closed rings
+ */
+function chainRings(edges: [string, string][]): string[][] {
+    const outgoing = new Map<string, [string, string][]>();
+    for (const edge of edges) {
+        if (!outgoing.has(edge[0])) outgoing.set(edge[0], []);
+        outgoing.get(edge[0])!.push(edge);
+    }
+
+    const rings: string[][] = [];
+    for (const [start, list] of outgoing) {
+        while (list.length > 0) {
+            const ring = [start];
+            let current = list.pop()![1];
+            while (current !== start) {
+                ring.push(current);
+                const next = outgoing.get(current)?.pop();
+                if (!next) break; // Open chain, should not happen
+                current = next[1];
+            }
+            ring.push(start);
+            rings.push(ring);
+        }
+    }
+
+    return rings;
+}
+
+/**
+ * Group rings into polygons: counterclockwise rings are outer boundaries,
+ * clockwise rings are holes assigned to the smallest enclosing outer ring
+ */
+function assembleRings(rings: Position[][]): Position[][][] {
+    const outers = rings.filter(r => signedArea(r) > 0);
+    const holes = rings.filter(r => signedArea(r) < 0);
+    const polygons: Position[][][] = outers.map(r => [r]);
+
+    for (const hole of holes) {
+        let best = -1;
+        let bestArea = Infinity;
+        outers.forEach((outer, index) => {
+            const area = signedArea(outer);
+            if (area < bestArea && pointInRing(hole[0], outer)) {
+                best = index;
+                bestArea = area;
+            }
+        });
+        if (best >= 0) {
+            polygons[best].push(hole);
+        }
+    }
+
+    return polygons;
+}
+
+function signedArea(ring: Position[]): number {
+    let area = 0;
+    for (let k = 0; k < ring.length - 1; k++) {
+        area += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+    }
+    return area / 2;
+}
+
+function pointInRing(point: Position, ring: Position[]): boolean {
+    const [x, y] = point;
+    let inside = false;
+    for (let k = 0, l = ring.length - 1; k < ring.length; l = k++) {
+        const [xk, yk] = ring[k];
+        const [xl, yl] = ring[l];
+        if ((yk > y) !== (yl > y) && x < (xl - xk) * (y - yk) / (yl - yk) + xk) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Remove consecutive duplicate positions (crossings landing on a node)
+ */
+function dedupe(ring: Position[]): Position[] {
+    return ring.filter((p, k) => k === 0 || p[0] !== ring[k - 1][0] || p[1] !== ring[k - 1][1]);
+}
+
+function valueAt(grid: ValueGrid, i: number, j: number): number {
+    return grid.values[j * grid.width + i];
+}
+
+function edgeKey(i1: number, j1: number, i2: number, j2: number): string {
+    return `${i1},${j1}|${i2},${j2}`;
+}
+
+function interpolatePosition(
+    grid: ValueGrid,
+    i1: number,
+    j1: number,
+    i2: number,
+    j2: number,
+    level: number
+): Position {
+    const v1 = valueAt(grid, i1, j1);
+    const v2 = valueAt(grid, i2, j2);
+    const t = v1 === v2 ? 0.5 : (level - v1) / (v2 - v1);
+    const p1 = cellCenter(grid.bounds, grid.width, grid.height, i1, j1);
+    const p2 = cellCenter(grid.bounds, grid.width, grid.height, i2, j2);
+    return [p1.lon + t * (p2.lon - p1.lon), p1.lat + t * (p2.lat - p1.lat)];
+}
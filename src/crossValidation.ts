@@ -0,0 +1,101 @@
+/**
+ * Leave-one-out cross-validation for interpolation algorithms
+ *
+ * Each sample is removed in turn, the interpolator is rebuilt on the
+ * remaining points and the withheld value is predicted. Comparing the
+ * resulting error statistics tells which method (and which variogram
+ * model) fits a dataset best.
+ */
+
+import { DataPoint, Interpolator } from './interpolation.types';
+
+/**
+ * Builds an interpolator from a training subset of the data
+ */
+export type InterpolatorFactory = (training: DataPoint[]) => Interpolator;
+
+export interface CrossValidationResidual {
+    index: number;           // Index of the withheld point in the input data
+    point: DataPoint;
+    predicted: number;
+    residual: number;        // predicted - observed
+    variance: number | null; // Prediction variance (Kriging only)
+    standardized: number | null; // residual / sqrt(variance)
+}
+
+export interface CrossValidationResult {
+    residuals: CrossValidationResidual[];
+    meanError: number;
+    rmse: number;
+    mae: number;
+    meanStandardizedError: number | null;
+    rmsStandardizedError: number | null;
+}
+
+/**
+ * Run leave-one-out cross-validation.
+ * Standardized statistics are only reported when the interpolator exposes
+ * a `variance(lon, lat)` method (e.g. Kriging).
+ */
+export default function crossValidate(
+    data: DataPoint[],
+    factory: InterpolatorFactory
+): CrossValidationResult {
+    if (data.length < 3) {
+        throw new Error('Cross-validation requires at least 3 data points');
+    }
+
+    const residuals: CrossValidationResidual[] = [];
+
+    for (let i = 0; i < data.length; i++) {
+        const training = data.filter((_, j) => j !== i);
+        const interpolator = factory(training);
+        const point = data[i];
+
+        const predicted = interpolator.interpolate(point.lon, point.lat);
+        const residual = predicted - point.h2;
+
+        let variance: number | null = null;
+        let standardized: number | null = null;
+        if (hasVariance(interpolator)) {
+            variance = interpolator.variance(point.lon, point.lat);
+            standardized = variance > 0 ? residual / Math.sqrt(variance) : null;
+        }
+
+        residuals.push({ index: i, point, predicted, residual, variance, standardized });
+    }
+
+    return summarize(residuals);
+}
+
+/**
+ * Compute the error statistics of a list of residuals. Points the
+ * interpolator cannot predict (NaN, e.g. on the convex hull for
+ * triangulation-based methods) are left out.
+ */
+export function summarize(residuals: CrossValidationResidual[]): CrossValidationResult {
+    const mean = (values: number[]) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const errors = residuals.map(r => r.residual).filter(e => !isNaN(e));
+    const n = errors.length;
+    const standardized = residuals
+        .map(r => r.standardized)
+        .filter((s): s is number => s !== null && isFinite(s));
+
+    return {
+        residuals,
+        meanError: n > 0 ? mean(errors) : NaN,
+        rmse: n > 0 ? Math.sqrt(mean(errors.map(e => e * e))) : NaN,
+        mae: n > 0 ? mean(errors.map(Math.abs)) : NaN,
+        meanStandardizedError: standardized.length > 0 ? mean(standardized) : null,
+        rmsStandardizedError: standardized.length > 0
+            ? Math.sqrt(mean(standardized.map(s => s * s)))
+            : null
+    };
+}
+
+function hasVariance(
+    interpolator: Interpolator
+): interpolator is Interpolator & { variance(lon: number, lat: number): number } {
+    return 'variance' in interpolator && typeof interpolator.variance === 'function';
+}
@@ -0,0 +1,371 @@
+/**
+ * Dataset loading - CSV / TSV / GeoJSON parsing with column mapping
+ *
+ * Files are first parsed into a generic table of string cells, the user
+ * (or `guessColumnMapping`) then picks which columns hold latitude,
+ * longitude, the measured value and optionally the campaign (or date) of
+ * each sample, and `toDataPoints` converts the table into `DataPoint`s
+ * while collecting every rejected row with a reason. Files of several
+ * campaigns are merged by `mergeCampaignFiles`.
+ */
+
+import { DataPoint, PolygonRings } from './interpolation.types';
+
+export interface DataTable {
+    headers: string[];
+    rows: string[][];
+    rowLabels: string[];      // Location of each row in the source, e.g. "line 4"
+    delimiter: string | null; // null for GeoJSON
+    rowErrors?: (string | null)[]; // Problems found while parsing, per row
+}
+
+export interface ColumnMapping {
+    lat: number;   // Column indices in DataTable.headers
+    lon: number;
+    value: number;
+    campaign?: number;   // Campaign or date column, -1 or absent for none
+}
+
+export interface RejectedRow {
+    label: string;
+    reason: string;
+}
+
+export interface LoadResult {
+    points: DataPoint[];
+    rejected: RejectedRow[];
+}
+
+const DELIMITERS = [',', ';', '\t'];
+
+const CAMPAIGN_HEADER = 'campaign';
+
+/**
+ * Parse a file according to its extension
+ */
+export function parseDataFile(fileName: string, text: string): DataTable {
+    const extension = fileName.toLowerCase().split('.').pop();
+
+    switch (extension) {
+        case 'geojson':
+        case 'json':
+            return parseGeoJSON(text);
+        case 'tsv':
+            return parseDelimited(text, '\t');
+        default:
+            return parseDelimited(text);
+    }
+}
+
+/**
+ * Parse delimited text (CSV, TSV...). The delimiter is auto-detected when
+ * omitted and the first row is used as header only if it is not numeric.
+ */
+export function parseDelimited(text: string, delimiter?: string): DataTable {
+    const lines = stripBOM(text)
+        .split(/\r?\n/)
+        .map((line, i) => ({ line, number: i + 1 }))
+        .filter(({ line }) => line.trim() !== '');
+
+    if (lines.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const sep = delimiter ?? detectDelimiter(lines.slice(0, 20).map(l => l.line));
+    const records = lines.map(({ line, number }) => ({
+        cells: splitLine(line, sep),
+        label: `line ${number}`
+    }));
+
+    const first = records[0].cells;
+    const hasHeader = first.some(cell => cell.trim() !== '' && isNaN(Number(cell)));
+    const columnCount = Math.max(...records.map(r => r.cells.length));
+
+    const headers = hasHeader
+        ? first.map((h, i) => h.trim() || `Column ${i + 1}`)
+        : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+    const body = hasHeader ? records.slice(1) : records;
+
+    return {
+        headers,
+        rows: body.map(r => r.cells),
+        rowLabels: body.map(r => r.label),
+        delimiter: sep
+    };
+}
+
+/**
+ * Polygons of a GeoJSON boundary file (Polygon and MultiPolygon geometries,
+ * bare or in features, feature collections and geometry collections)
+ */
+export function parsePolygons(input: string | object): PolygonRings[] {
+    const json: any = typeof input === 'string' ? JSON.parse(stripBOM(input)) : input;
+    const polygons: PolygonRings[] = [];
+
+    const visit = (node: any): void => {
+        switch (node?.type) {
+            case 'FeatureCollection':
+                (node.features ?? []).forEach(visit);
+                break;
+            case 'Feature':
+                visit(node.geometry);
+                break;
+            case 'GeometryCollection':
+                (node.geometries ?? []).forEach(visit);
+                break;
+            case 'Polygon':
+                polygons.push(node.coordinates);
+                break;
+            case 'MultiPolygon':
+                polygons.push(...node.coordinates);
+                break;
+        }
+    };
+    visit(json);
+
+    const valid = polygons.filter(rings => Array.isArray(rings) && rings.length > 0 && rings[0].length >= 3);
+    if (valid.length === 0) {
+        throw new Error('The GeoJSON file contains no polygon');
+    }
+    return valid.map(rings => rings.map(ring => ring.map(([lon, lat]) => [Number(lon), Number(lat)] as [number, number])));
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection. Point coordinates become the
+ * "longitude" and "latitude" columns, followed by every feature property.
+ */
+export function parseGeoJSON(input: string | object): DataTable {
+    const json: any = typeof input === 'string' ? JSON.parse(stripBOM(input)) : input;
+
+    let features: any[];
+    if (json?.type === 'FeatureCollection' && Array.isArray(json.features)) {
+        features = json.features;
+    } else if (json?.type === 'Feature') {
+        features = [json];
+    } else {
+        throw new Error('GeoJSON must be a Feature or a FeatureCollection');
+    }
+
+    const propertyNames: string[] = [];
+    for (const feature of features) {
+        for (const key of Object.keys(feature?.properties ?? {})) {
+            if (!propertyNames.includes(key)) {
+                propertyNames.push(key);
+            }
+        }
+    }
+
+    const rowErrors: (string | null)[] = [];
+    const rows = features.map(feature => {
+        const geometry = feature?.geometry;
+        const isPoint = geometry?.type === 'Point' && Array.isArray(geometry.coordinates);
+        rowErrors.push(isPoint ? null : `geometry is ${geometry?.type ?? 'missing'}, not a Point`);
+        const [lon, lat] = isPoint ? geometry.coordinates : ['', ''];
+        const properties = feature?.properties ?? {};
+        return [
+            String(lon ?? ''),
+            String(lat ?? ''),
+            ...propertyNames.map(key => properties[key] == null ? '' : String(properties[key]))
+        ];
+    });
+
+    return {
+        headers: ['longitude', 'latitude', ...propertyNames],
+        rows,
+        rowLabels: features.map((_, i) => `feature ${i + 1}`),
+        delimiter: null,
+        rowErrors
+    };
+}
+
+/**
+ * Guess which columns hold latitude, longitude, value and campaign from
+ * their names. Falls back to the column order used by h2_frantz.csv (lat,
+ * lon, value); the campaign column is only set when one is recognized.
+ */
+export function guessColumnMapping(headers: string[]): ColumnMapping {
+    const find = (pattern: RegExp, exclude: number[]) =>
+        headers.findIndex((h, i) => !exclude.includes(i) && pattern.test(h));
+
+    const lat = find(/lat|^y$/i, []);
+    const lon = find(/lon|lng|^x$/i, [lat]);
+    const value = find(/h2|ppm|value|conc/i, [lat, lon]);
+
+    const used = [lat, lon, value];
+    const next = () => {
+        const index = headers.findIndex((_, i) => !used.includes(i));
+        used.push(index);
+        return index;
+    };
+
+    const mapping = {
+        lat: lat >= 0 ? lat : next(),
+        lon: lon >= 0 ? lon : next(),
+        value: value >= 0 ? value : next()
+    };
+    return { ...mapping, campaign: find(/campaign|survey|season|date|time/i, Object.values(mapping)) };
+}
+
+/**
+ * Convert a table into data points, recording why rows are rejected
+ */
+export function toDataPoints(table: DataTable, mapping: ColumnMapping): LoadResult {
+    const points: DataPoint[] = [];
+    const rejected: RejectedRow[] = [];
+
+    table.rows.forEach((cells, i) => {
+        const reason = table.rowErrors?.[i] ?? validateRow(cells, mapping, table.headers);
+        if (reason) {
+            rejected.push({ label: table.rowLabels[i], reason });
+            return;
+        }
+        const point: DataPoint = {
+            lat: parseNumber(cells[mapping.lat]),
+            lon: parseNumber(cells[mapping.lon]),
+            h2: parseNumber(cells[mapping.value])
+        };
+        if (hasCampaign(mapping)) {
+            point.campaign = cells[mapping.campaign].trim();
+        }
+        points.push(point);
+    });
+
+    return { points, rejected };
+}
+
+/**
+ * Merge the files of several campaigns into one CSV text, with a campaign
+ * column holding the file name (without extension). The files must have
+ * the same columns.
+ */
+export function mergeCampaignFiles(files: { name: string; text: string }[]): string {
+    if (files.length === 0) {
+        throw new Error('No campaign file to merge');
+    }
+    const tables = files.map(file => ({
+        campaign: file.name.replace(/\.[^.]*$/, ''),
+        table: parseDataFile(file.name, file.text)
+    }));
+
+    const { headers } = tables[0].table;
+    for (const { campaign, table } of tables) {
+        if (table.headers.length !== headers.length || table.headers.some((header, i) => header !== headers[i])) {
+            throw new Error(`${campaign} does not have the same columns as ${tables[0].campaign}`);
+        }
+    }
+
+    const lines = [[...headers, CAMPAIGN_HEADER]];
+    for (const { campaign, table } of tables) {
+        table.rows.forEach(cells => lines.push([...headers.map((_, i) => cells[i] ?? ''), campaign]));
+    }
+    return lines.map(cells => cells.map(quoteCell).join(',')).join('\n');
+}
+
+function hasCampaign(mapping: ColumnMapping): mapping is ColumnMapping & { campaign: number } {
+    return mapping.campaign !== undefined && mapping.campaign >= 0;
+}
+
+function validateRow(cells: string[], mapping: ColumnMapping, headers: string[]): string | null {
+    for (const key of ['lat', 'lon', 'value'] as const) {
+        const index = mapping[key];
+        const name = headers[index] ?? `column ${index + 1}`;
+        const cell = cells[index];
+        if (cell === undefined || cell.trim() === '') {
+            return `missing ${name}`;
+        }
+        if (isNaN(parseNumber(cell))) {
+            return `${name} is not a number ("${cell.trim()}")`;
+        }
+    }
+
+    if (hasCampaign(mapping) && (cells[mapping.campaign] ?? '').trim() === '') {
+        return `missing ${headers[mapping.campaign] ?? `column ${mapping.campaign + 1}`}`;
+    }
+
+    const lat = parseNumber(cells[mapping.lat]);
+    const lon = parseNumber(cells[mapping.lon]);
+    if (lat < -90 || lat > 90) {
+        return `latitude ${lat} out of range [-90, 90]`;
+    }
+    if (lon < -180 || lon > 180) {
+        return `longitude ${lon} out of range [-180, 180]`;
+    }
+    return null;
+}
+
+/**
+ * Parse a number, accepting a decimal comma when it is unambiguous
+ */
+function parseNumber(cell: string): number {
+    const trimmed = cell.trim();
+    if (trimmed === '') return NaN;
+    const normalized = /^-?\d+,\d+$/.test(trimmed) ? trimmed.replace(',', '.') : trimmed;
+    return Number(normalized);
+}
+
+/**
+ * Pick the delimiter that splits the sample lines into the most
+ * consistent (and largest) number of columns
+ */
+function detectDelimiter(lines: string[]): string {
+    let best = ',';
+    let bestScore = -1;
+
+    for (const delimiter of DELIMITERS) {
+        const counts = lines.map(line => splitLine(line, delimiter).length);
+        const columns = counts[0];
+        if (columns < 2) continue;
+        const consistent = counts.filter(c => c === columns).length / counts.length;
+        const score = consistent * columns;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Split a line on a delimiter, honoring double-quoted fields
+ */
+function splitLine(line: string, delimiter: string): string[] {
+    const cells: string[] = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+
+    return cells;
+}
+
+/**
+ * CSV cell, quoted when it holds a comma or a double quote
+ */
+function quoteCell(cell: string): string {
+    return /[",]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function stripBOM(text: string): string {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
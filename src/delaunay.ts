@@ -0,0 +1,333 @@
+/**
+ * Delaunay - Triangulation of planar points (Bowyer-Watson)
+ *
+ * Points are inserted one at a time into a large enclosing triangle: the
+ * triangles whose circumcircle contains the new point form a cavity that
+ * is re-triangulated as a fan around it. Adjacency is maintained during
+ * insertion so the containing triangle is found by walking, and the
+ * triangles touching the enclosing vertices are dropped at the end.
+ *
+ * Coincident points are triangulated once (the first occurrence is kept),
+ * see `vertexOf` to map every input point to its vertex.
+ */
+
+export class Delaunay {
+    public readonly xs: Float64Array;
+    public readonly ys: Float64Array;
+    public readonly triangles: Uint32Array;    // 3 vertex indices per triangle, counter-clockwise
+    public readonly neighbors: Int32Array;     // Triangle across edge k = (v[k], v[k + 1]), -1 on the hull
+    public readonly vertexOf: Int32Array;      // Vertex used for each input point
+    private circumcenters: Float64Array;       // cx, cy, r² per triangle
+    private lastFound = 0;
+
+    constructor(points: { lon: number; lat: number }[]) {
+        const n = points.length;
+        this.xs = new Float64Array(n);
+        this.ys = new Float64Array(n);
+        points.forEach((p, i) => {
+            this.xs[i] = p.lon;
+            this.ys[i] = p.lat;
+        });
+
+        const build = new Builder(this.xs, this.ys);
+        this.vertexOf = build.vertexOf;
+        ({ triangles: this.triangles, neighbors: this.neighbors } = build.finish());
+
+        const count = this.triangles.length / 3;
+        this.circumcenters = new Float64Array(count * 3);
+        for (let t = 0; t < count; t++) {
+            const [a, b, c] = this.vertices(t);
+            const { x, y, r2 } = circumcircle(this.xs[a], this.ys[a], this.xs[b], this.ys[b], this.xs[c], this.ys[c]);
+            this.circumcenters.set([x, y, r2], t * 3);
+        }
+    }
+
+    public get triangleCount(): number {
+        return this.triangles.length / 3;
+    }
+
+    public vertices(t: number): [number, number, number] {
+        return [this.triangles[3 * t], this.triangles[3 * t + 1], this.triangles[3 * t + 2]];
+    }
+
+    /**
+     * Triangle containing a point, -1 outside the convex hull
+     */
+    public find(x: number, y: number): number {
+        const count = this.triangleCount;
+        if (count === 0) return -1;
+
+        // Walk towards the point from the last triangle found
+        let t = Math.min(this.lastFound, count - 1);
+        for (let steps = 0; steps < count; steps++) {
+            let next = -1;
+            for (let k = 0; k < 3; k++) {
+                const a = this.triangles[3 * t + k];
+                const b = this.triangles[3 * t + (k + 1) % 3];
+                if (orient(this.xs[a], this.ys[a], this.xs[b], this.ys[b], x, y) < 0) {
+                    next = this.neighbors[3 * t + k];
+                    break;
+                }
+            }
+            if (next === -1) {
+                if (this.contains(t, x, y)) {
+                    this.lastFound = t;
+                    return t;
+                }
+                break; // Left through the hull, which may be slightly concave
+            }
+            t = next;
+        }
+
+        // Fallback scan
+        for (let u = 0; u < count; u++) {
+            if (this.contains(u, x, y)) {
+                this.lastFound = u;
+                return u;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Barycentric coordinates of a point in a triangle
+     */
+    public barycentric(t: number, x: number, y: number): [number, number, number] {
+        const [a, b, c] = this.vertices(t);
+        const area = orient(this.xs[a], this.ys[a], this.xs[b], this.ys[b], this.xs[c], this.ys[c]);
+        return [
+            orient(this.xs[b], this.ys[b], this.xs[c], this.ys[c], x, y) / area,
+            orient(this.xs[c], this.ys[c], this.xs[a], this.ys[a], x, y) / area,
+            orient(this.xs[a], this.ys[a], this.xs[b], this.ys[b], x, y) / area
+        ];
+    }
+
+    /**
+     * Triangles whose circumcircle contains a point, i.e. those that
+     * inserting the point would replace. Empty outside the hull.
+     */
+    public cavity(x: number, y: number): number[] {
+        const start = this.find(x, y);
+        if (start === -1) return [];
+
+        const found = new Set<number>([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            const t = stack.pop()!;
+            for (let k = 0; k < 3; k++) {
+                const u = this.neighbors[3 * t + k];
+                if (u === -1 || found.has(u)) continue;
+                const dx = x - this.circumcenters[3 * u];
+                const dy = y - this.circumcenters[3 * u + 1];
+                if (dx * dx + dy * dy < this.circumcenters[3 * u + 2]) {
+                    found.add(u);
+                    stack.push(u);
+                }
+            }
+        }
+        return [...found];
+    }
+
+    private contains(t: number, x: number, y: number): boolean {
+        const tolerance = -1e-12;
+        return this.barycentric(t, x, y).every(w => w >= tolerance);
+    }
+}
+
+/**
+ * Incremental Bowyer-Watson construction
+ */
+class Builder {
+    public vertexOf: Int32Array;
+    private xs: Float64Array;
+    private ys: Float64Array;
+    private tv: number[] = [];      // Vertices
+    private tn: number[] = [];      // Neighbors
+    private cc: number[] = [];      // Circumcircles
+    private alive: boolean[] = [];
+    private last = 0;
+
+    constructor(xs: Float64Array, ys: Float64Array) {
+        const n = xs.length;
+        this.vertexOf = new Int32Array(n).fill(-1);
+
+        // Enclosing triangle vertices are appended after the points
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < n; i++) {
+            minX = Math.min(minX, xs[i]);
+            minY = Math.min(minY, ys[i]);
+            maxX = Math.max(maxX, xs[i]);
+            maxY = Math.max(maxY, ys[i]);
+        }
+        const size = Math.max(maxX - minX, maxY - minY, 1e-9) * 100;
+        const cx = (minX + maxX) / 2 || 0;
+        const cy = (minY + maxY) / 2 || 0;
+        this.xs = new Float64Array([...xs, cx - size, cx + size, cx]);
+        this.ys = new Float64Array([...ys, cy - size, cy - size, cy + size]);
+        this.addTriangle(n, n + 1, n + 2, -1, -1, -1);
+
+        // Insert in a spatially coherent order so walks stay short
+        const seen = new Map<string, number>();
+        const order = [...Array(n).keys()].sort((i, j) => xs[i] - xs[j] || ys[i] - ys[j]);
+        for (const i of order) {
+            const key = `${xs[i]},${ys[i]}`;
+            const existing = seen.get(key);
+            if (existing !== undefined) {
+                this.vertexOf[i] = existing;
+                continue;
+            }
+            seen.set(key, i);
+            this.vertexOf[i] = i;
+            this.insert(i);
+        }
+    }
+
+    /**
+     * Keep the triangles not touching the enclosing triangle
+     */
+    public finish(): { triangles: Uint32Array; neighbors: Int32Array } {
+        const n = this.xs.length - 3;
+        const count = this.alive.length;
+        const remap = new Int32Array(count).fill(-1);
+        let kept = 0;
+        for (let t = 0; t < count; t++) {
+            if (this.alive[t] && this.tv[3 * t] < n && this.tv[3 * t + 1] < n && this.tv[3 * t + 2] < n) {
+                remap[t] = kept++;
+            }
+        }
+
+        const triangles = new Uint32Array(kept * 3);
+        const neighbors = new Int32Array(kept * 3);
+        for (let t = 0; t < count; t++) {
+            if (remap[t] === -1) continue;
+            for (let k = 0; k < 3; k++) {
+                triangles[3 * remap[t] + k] = this.tv[3 * t + k];
+                const u = this.tn[3 * t + k];
+                neighbors[3 * remap[t] + k] = u === -1 ? -1 : remap[u];
+            }
+        }
+        return { triangles, neighbors };
+    }
+
+    private insert(p: number): void {
+        const x = this.xs[p];
+        const y = this.ys[p];
+
+        // Cavity: triangles whose circumcircle contains the point
+        const start = this.locate(x, y);
+        const bad = new Set<number>([start]);
+        const stack = [start];
+        while (stack.length > 0) {
+            const t = stack.pop()!;
+            for (let k = 0; k < 3; k++) {
+                const u = this.tn[3 * t + k];
+                if (u !== -1 && !bad.has(u) && this.inCircumcircle(u, x, y)) {
+                    bad.add(u);
+                    stack.push(u);
+                }
+            }
+        }
+
+        // Fan of new triangles over the cavity boundary
+        const byStart = new Map<number, number>();
+        const created: number[] = [];
+        for (const t of bad) {
+            for (let k = 0; k < 3; k++) {
+                const outer = this.tn[3 * t + k];
+                if (outer !== -1 && bad.has(outer)) continue;
+
+                const a = this.tv[3 * t + k];
+                const b = this.tv[3 * t + (k + 1) % 3];
+                const created_t = this.addTriangle(a, b, p, outer, -1, -1);
+                if (outer !== -1) {
+                    for (let j = 0; j < 3; j++) {
+                        if (this.tn[3 * outer + j] === t) this.tn[3 * outer + j] = created_t;
+                    }
+                }
+                byStart.set(b, created_t);
+                created.push(created_t);
+            }
+        }
+
+        // Edge (p, a) of one new triangle is edge (a, p) of the next
+        for (const t of created) {
+            const a = this.tv[3 * t];
+            const previous = byStart.get(a)!;
+            this.tn[3 * t + 2] = previous;
+            this.tn[3 * previous + 1] = t;
+        }
+
+        for (const t of bad) {
+            this.alive[t] = false;
+        }
+        this.last = created[0];
+    }
+
+    private locate(x: number, y: number): number {
+        let t = this.last;
+        for (let steps = 0; steps < this.alive.length; steps++) {
+            let next = -1;
+            for (let k = 0; k < 3; k++) {
+                const a = this.tv[3 * t + k];
+                const b = this.tv[3 * t + (k + 1) % 3];
+                if (orient(this.xs[a], this.ys[a], this.xs[b], this.ys[b], x, y) < 0) {
+                    next = this.tn[3 * t + k];
+                    break;
+                }
+            }
+            if (next === -1) return t;
+            t = next;
+        }
+
+        // Walks can cycle on degenerate input: fall back to a scan
+        for (let u = 0; u < this.alive.length; u++) {
+            if (this.alive[u] && this.inCircumcircle(u, x, y)) return u;
+        }
+        return t;
+    }
+
+    private addTriangle(a: number, b: number, c: number, n0: number, n1: number, n2: number): number {
+        const { x, y, r2 } = circumcircle(this.xs[a], this.ys[a], this.xs[b], this.ys[b], this.xs[c], this.ys[c]);
+        this.tv.push(a, b, c);
+        this.tn.push(n0, n1, n2);
+        this.cc.push(x, y, r2);
+        this.alive.push(true);
+        return this.alive.length - 1;
+    }
+
+    private inCircumcircle(t: number, x: number, y: number): boolean {
+        const dx = x - this.cc[3 * t];
+        const dy = y - this.cc[3 * t + 1];
+        return dx * dx + dy * dy < this.cc[3 * t + 2];
+    }
+}
+
+/**
+ * Twice the signed area of (a, b, c), positive when counter-clockwise
+ */
+export function orient(ax: number, ay: number, bx: number, by: number, cx: number, cy: number): number {
+    return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+/**
+ * Circumcenter and squared circumradius of a triangle
+ */
+export function circumcircle(
+    ax: number, ay: number,
+    bx: number, by: number,
+    cx: number, cy: number
+): { x: number; y: number; r2: number } {
+    const dx = bx - ax, dy = by - ay;
+    const ex = cx - ax, ey = cy - ay;
+    const bl = dx * dx + dy * dy;
+    const cl = ex * ex + ey * ey;
+    const d = 2 * (dx * ey - dy * ex);
+
+    if (d === 0) {
+        return { x: Infinity, y: Infinity, r2: Infinity }; // Collinear
+    }
+
+    const x = (ey * bl - dy * cl) / d;
+    const y = (dx * cl - ex * bl) / d;
+    return { x: ax + x, y: ay + y, r2: x * x + y * y };
+}
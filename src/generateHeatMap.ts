@@ -1,67 +1,247 @@
 import Kriging from "./kriging";
-import interpolateIDW from "./idw";
-import { DataPoint, Bounds, InterpolationAlgorithm, VariogramModel } from './interpolation.types';
-import { ColorMapper, ColorScheme, ColorStop, ColorMapFunction } from './ColorMapper';
+import { createIDWInterpolator } from "./idw";
+import { createNaturalNeighborInterpolator } from './naturalNeighbor';
+import { createTINInterpolator } from './tin';
+import { createRBFInterpolator } from './rbf';
+import { createNearestNeighborInterpolator } from './nearestNeighbor';
+import {
+    DataPoint, Bounds, InterpolationAlgorithm, InterpolationParams, Interpolator,
+    VariogramModel, DisplayMode, ValueGrid, DistanceUnits, NegativeValues
+} from './interpolation.types';
+import { ColorMapper, ColorScheme, ColorStop, ColorMapFunction, ColorMapperOptions } from './ColorMapper';
+import { sampleGrid, gridRange } from './grid';
+import { toGeographicBounds } from './projection';
+import { createTransform, transformInterpolator, applyNegativeValues } from './transform';
+import { createMask, CellMask } from './mask';
 
-export default function generateHeatmap(
-    h2Data: DataPoint[],
-    bounds: Bounds,
+export interface HeatmapOptions extends InterpolationParams {
+    algorithm?: InterpolationAlgorithm;   // Default 'kriging'
+    interpolator?: Interpolator;          // Prebuilt model, overrides algorithm and params
+    gridWidth?: number;                   // Grid resolution (default 100 x 100)
+    gridHeight?: number;
+    boundsUnits?: DistanceUnits;          // Bounds in degrees (default) or m/km of LocalProjection.fromData(data)
+    displayMode?: DisplayMode;            // Uncertainty modes require Kriging
+    threshold?: number;                   // For the 'exceedance' display mode, in data units
+    colorScheme?: ColorScheme | ColorStop[] | ColorMapFunction;
+    colorRange?: { min: number; max: number }; // Defaults to the data range for estimates, the grid range otherwise
+    colorOptions?: ColorMapperOptions;    // Breakpoints, classes, reversal, over/under colors
+    canvas?: HTMLCanvasElement | OffscreenCanvas; // Optional render target
+    width?: number;                       // Output size, defaults to the canvas size
+    height?: number;
+}
+
+export interface HeatmapResult {
+    grid: ValueGrid;
+    values: Float32Array;
+    min: number;
+    max: number;
+    interpolator: Interpolator;
+    colorMapper: ColorMapper;
+}
+
+/**
+ * Build the interpolator selected by the parameters. With a transform,
+ * Kriging back-transforms its estimates using its variance; the other
+ * methods apply the inverse transform to their estimates.
+ */
+export function createInterpolator(
+    data: DataPoint[],
     algorithm: InterpolationAlgorithm = 'kriging',
-    variogramModel: VariogramModel = 'exponential',
-    colorScheme: ColorScheme | ColorStop[] | ColorMapFunction = 'rainbow'
-): string {
-    const canvas = document.createElement('canvas');
-    const width = 800;
-    const height = 600;
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    params: InterpolationParams = {}
+): Interpolator {
+    const transform = createTransform(data.map(d => d.h2), params.transform, params);
+    if (algorithm !== 'kriging' && transform) {
+        const transformed = data.map(d => ({ ...d, h2: transform.forward(d.h2) }));
+        return transformInterpolator(createInterpolator(transformed, algorithm, { ...params, transform: 'none' }), transform);
+    }
 
-    if (!ctx) {
-        throw new Error('Failed to get 2D context from canvas');
+    switch (algorithm) {
+        case 'idw':
+            return createIDWInterpolator(data, params.power, params.minDistance, params);
+        case 'natural':
+            return createNaturalNeighborInterpolator(data, params.units);
+        case 'tin':
+            return createTINInterpolator(data, params.units);
+        case 'rbf':
+            return createRBFInterpolator(data, params);
+        case 'nearest':
+            return createNearestNeighborInterpolator(data, params.units, params.searchRadius);
     }
 
-    const [minLon, minLat, maxLon, maxLat] = bounds;
-    const lonRange = maxLon - minLon;
-    const latRange = maxLat - minLat;
+    return new Kriging(data, {
+        model: params.model,
+        nugget: params.nugget,
+        sill: params.sill,
+        range: params.range,
+        lagCount: params.lagCount,
+        lagWidth: params.lagWidth,
+        type: params.krigingType,
+        drift: params.drift,
+        units: params.units,
+        anisotropyAngle: params.anisotropyAngle,
+        anisotropyRatio: params.anisotropyRatio,
+        neighbors: params.neighbors,
+        searchRadius: params.searchRadius,
+        transform,
+        regularization: params.regularization
+    });
+}
 
-    // Get H2 value range
-    const h2Values = h2Data.map(d => d.h2);
-    const minH2 = Math.min(...h2Values);
-    const maxH2 = Math.max(...h2Values);
+/**
+ * Function giving the displayed quantity at a location. Negative
+ * estimates are handled according to `negativeValues`, and locations
+ * outside the mask are NaN. The 'exceedance' mode gives the probability
+ * that the value exceeds `threshold`.
+ */
+export function createValueFunction(
+    interpolator: Interpolator,
+    displayMode: DisplayMode = 'estimate',
+    negativeValues: NegativeValues = 'keep',
+    mask: CellMask | null = null,
+    threshold: number | null = null
+): (lon: number, lat: number) => number {
+    const valueAt = displayValue(interpolator, displayMode, negativeValues, threshold);
+    return mask ? (lon, lat) => mask(lon, lat) ? valueAt(lon, lat) : NaN : valueAt;
+}
 
-    // Initialize color mapper
-    const colorMapper = new ColorMapper(minH2, maxH2, colorScheme);
+function displayValue(
+    interpolator: Interpolator,
+    displayMode: DisplayMode,
+    negativeValues: NegativeValues,
+    threshold: number | null
+): (lon: number, lat: number) => number {
+    if (displayMode === 'estimate') {
+        return (lon, lat) => applyNegativeValues(interpolator.interpolate(lon, lat), negativeValues);
+    }
+    if (!(interpolator instanceof Kriging)) {
+        throw new Error(`Display mode '${displayMode}' requires the kriging algorithm`);
+    }
+    if (displayMode === 'variance') {
+        return (lon, lat) => interpolator.variance(lon, lat);
+    }
+    if (displayMode === 'exceedance') {
+        if (threshold === null || isNaN(threshold)) {
+            throw new Error("Display mode 'exceedance' requires a threshold");
+        }
+        return (lon, lat) => interpolator.exceedanceProbability(lon, lat, threshold);
+    }
+
+    const factor = displayMode === 'ci95' ? 1.96 : 1;
+    return (lon, lat) => factor * Math.sqrt(interpolator.variance(lon, lat));
+}
+
+/**
+ * Interpolate a value grid and optionally render it onto a canvas.
+ * Without a canvas no DOM API is used, so this runs in Node or a worker.
+ */
+export function createHeatmap(data: DataPoint[], bounds: Bounds, options: HeatmapOptions = {}): HeatmapResult {
+    const displayMode = options.displayMode ?? 'estimate';
+    const interpolator = options.interpolator ?? createInterpolator(data, options.algorithm, options);
+    const mask = createMask(data, interpolator, options);
+    const valueAt = createValueFunction(interpolator, displayMode, options.negativeValues, mask, options.threshold ?? null);
+
+    const gridBounds = toGeographicBounds(bounds, data, options.boundsUnits);
+    const grid = sampleGrid(gridBounds, options.gridWidth ?? 100, options.gridHeight ?? 100, valueAt);
+    const { min, max } = gridRange(grid);
+
+    let colorRange = options.colorRange;
+    if (!colorRange) {
+        colorRange = displayMode === 'estimate' ? dataRange(data)
+            : displayMode === 'exceedance' ? { min: 0, max: 1 }
+            : { min, max };
+    }
+    const colorMapper = new ColorMapper(colorRange.min, colorRange.max, options.colorScheme ?? 'rainbow', options.colorOptions);
 
-    // Initialize interpolation model
-    let krigingModel: Kriging | null = null;
-    if (algorithm === 'kriging') {
-        krigingModel = new Kriging(h2Data, { model: variogramModel });
+    if (options.canvas) {
+        const canvas = options.canvas;
+        canvas.width = options.width ?? canvas.width;
+        canvas.height = options.height ?? canvas.height;
+        renderGrid(grid, canvas, colorMapper);
     }
 
-    // Generate grid
-    const gridSize = 50;
-    const cellWidth = width / gridSize;
-    const cellHeight = height / gridSize;
-
-    for (let i = 0; i < gridSize; i++) {
-        for (let j = 0; j < gridSize; j++) {
-            const lon = minLon + lonRange * (i + 0.5) / gridSize;
-            const lat = maxLat - latRange * (j + 0.5) / gridSize;
-
-            let value: number;
-            if (algorithm === 'kriging' && krigingModel) {
-                value = krigingModel.interpolate(lon, lat);
-            } else {
-                value = interpolateIDW(lon, lat, h2Data);
-            }
-
-            const color = colorMapper.getColorString(value);
-            ctx.fillStyle = color;
-            ctx.fillRect(i * cellWidth, j * cellHeight, cellWidth, cellHeight);
+    return {
+        grid,
+        values: grid.values as Float32Array,
+        min,
+        max,
+        interpolator,
+        colorMapper
+    };
+}
+
+/**
+ * Paint a value grid over a whole canvas. Masked (NaN) cells are transparent.
+ */
+export function renderGrid(
+    grid: ValueGrid,
+    canvas: HTMLCanvasElement | OffscreenCanvas,
+    colorMapper: ColorMapper
+): void {
+    const ctx = canvas.getContext('2d') as CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null;
+
+    if (!ctx) {
+        throw new Error('Failed to get 2D context from canvas');
+    }
+
+    const { width, height } = canvas;
+
+    // Color of every cell, computed once
+    const colors = new Uint8ClampedArray(grid.width * grid.height * 4);
+    for (let k = 0; k < grid.width * grid.height; k++) {
+        const value = grid.values[k];
+        if (isNaN(value)) continue;
+        const { r, g, b } = colorMapper.getColor(value);
+        colors.set([r, g, b, 255], k * 4);
+    }
+
+    // Nearest cell lookup for every output pixel
+    const image = ctx.createImageData(width, height);
+    for (let y = 0; y < height; y++) {
+        const j = Math.min(grid.height - 1, Math.floor(y * grid.height / height));
+        for (let x = 0; x < width; x++) {
+            const i = Math.min(grid.width - 1, Math.floor(x * grid.width / width));
+            const source = (j * grid.width + i) * 4;
+            const target = (y * width + x) * 4;
+            image.data[target] = colors[source];
+            image.data[target + 1] = colors[source + 1];
+            image.data[target + 2] = colors[source + 2];
+            image.data[target + 3] = colors[source + 3];
         }
     }
 
+    ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Render a heatmap and return it as a PNG data URL (browser only)
+ */
+export default function generateHeatmap(
+    h2Data: DataPoint[],
+    bounds: Bounds,
+    algorithm: InterpolationAlgorithm = 'kriging',
+    variogramModel: VariogramModel = 'exponential',
+    colorScheme: ColorScheme | ColorStop[] | ColorMapFunction = 'rainbow',
+    displayMode: DisplayMode = 'estimate'
+): string {
+    const canvas = document.createElement('canvas');
+
+    createHeatmap(h2Data, bounds, {
+        algorithm,
+        model: variogramModel,
+        colorScheme,
+        displayMode,
+        canvas,
+        width: 800,
+        height: 600,
+        gridWidth: 50,
+        gridHeight: 50
+    });
+
     // Convert canvas to data URL
     return canvas.toDataURL();
-}
\ No newline at end of file
+}
+
+function dataRange(data: DataPoint[]): { min: number; max: number } {
+    const h2Values = data.map(d => d.h2);
+    return { min: Math.min(...h2Values), max: Math.max(...h2Values) };
+}
@@ -0,0 +1,146 @@
+/**
+ * Value grid helpers
+ */
+
+import { Bounds, ValueGrid } from './interpolation.types';
+
+/**
+ * Sample a function at the cell centers of a width x height grid
+ */
+export function sampleGrid(
+    bounds: Bounds,
+    width: number,
+    height: number,
+    valueAt: (lon: number, lat: number) => number
+): ValueGrid {
+    const values = new Float32Array(width * height);
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const { lon, lat } = cellCenter(bounds, width, height, i, j);
+            values[j * width + i] = valueAt(lon, lat);
+        }
+    }
+
+    return { values, width, height, bounds };
+}
+
+/**
+ * Rectangular block of cells of a grid
+ */
+export interface GridTile {
+    i0: number;     // First column
+    j0: number;     // First row
+    width: number;
+    height: number;
+}
+
+/**
+ * Split a grid into tiles of at most tileSize x tileSize cells
+ */
+export function splitTiles(gridWidth: number, gridHeight: number, tileSize: number): GridTile[] {
+    const tiles: GridTile[] = [];
+    for (let j0 = 0; j0 < gridHeight; j0 += tileSize) {
+        for (let i0 = 0; i0 < gridWidth; i0 += tileSize) {
+            tiles.push({
+                i0,
+                j0,
+                width: Math.min(tileSize, gridWidth - i0),
+                height: Math.min(tileSize, gridHeight - j0)
+            });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Sample a function over one tile of a grid, row by row
+ */
+export function sampleTile(
+    bounds: Bounds,
+    gridWidth: number,
+    gridHeight: number,
+    tile: GridTile,
+    valueAt: (lon: number, lat: number) => number
+): Float32Array {
+    const values = new Float32Array(tile.width * tile.height);
+
+    for (let j = 0; j < tile.height; j++) {
+        for (let i = 0; i < tile.width; i++) {
+            const { lon, lat } = cellCenter(bounds, gridWidth, gridHeight, tile.i0 + i, tile.j0 + j);
+            values[j * tile.width + i] = valueAt(lon, lat);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Copy tile values into a full grid
+ */
+export function writeTile(grid: ValueGrid, tile: GridTile, values: ArrayLike<number>): void {
+    const target = grid.values as Float32Array;
+    for (let j = 0; j < tile.height; j++) {
+        for (let i = 0; i < tile.width; i++) {
+            target[(tile.j0 + j) * grid.width + tile.i0 + i] = values[j * tile.width + i];
+        }
+    }
+}
+
+/**
+ * Coordinates of the center of cell (column i, row j), row 0 being north
+ */
+export function cellCenter(
+    bounds: Bounds,
+    width: number,
+    height: number,
+    i: number,
+    j: number
+): { lon: number; lat: number } {
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    return {
+        lon: minLon + (maxLon - minLon) * (i + 0.5) / width,
+        lat: maxLat - (maxLat - minLat) * (j + 0.5) / height
+    };
+}
+
+/**
+ * Bounds grown on every side by a fraction of their width and height
+ */
+export function padBounds([minLon, minLat, maxLon, maxLat]: Bounds, fraction: number): Bounds {
+    const dx = (maxLon - minLon) * fraction;
+    const dy = (maxLat - minLat) * fraction;
+    return [minLon - dx, minLat - dy, maxLon + dx, maxLat + dy];
+}
+
+/**
+ * Cell by cell difference b - a of two grids over the same cells, NaN
+ * where either is masked
+ */
+export function differenceGrid(a: ValueGrid, b: ValueGrid): ValueGrid {
+    if (a.width !== b.width || a.height !== b.height || a.bounds.some((value, k) => value !== b.bounds[k])) {
+        throw new Error('Grids must cover the same cells to be subtracted');
+    }
+    const values = new Float32Array(a.width * a.height);
+    for (let k = 0; k < values.length; k++) {
+        values[k] = b.values[k] - a.values[k];
+    }
+    return { values, width: a.width, height: a.height, bounds: a.bounds };
+}
+
+/**
+ * Min and max of the grid, ignoring masked (NaN) cells
+ */
+export function gridRange(grid: ValueGrid): { min: number; max: number } {
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let k = 0; k < grid.values.length; k++) {
+        const value = grid.values[k];
+        if (isNaN(value)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    return { min, max };
+}
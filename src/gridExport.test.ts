@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_NODATA, toAsciiGrid, toGeoTIFF } from './gridExport';
+import { ValueGrid } from './interpolation.types';
+
+// 3 x 2 grid over [2, 48, 2.3, 48.4], cells of 0.1 x 0.2: row 0 is the northern edge
+const grid: ValueGrid = {
+    values: Float32Array.from([1, 2, 3, 4, NaN, 6]),
+    width: 3,
+    height: 2,
+    bounds: [2, 48, 2.3, 48.4]
+};
+
+/**
+ * Tags of the first IFD of a little-endian TIFF: tag -> [type, count, values]
+ */
+function readTags(buffer: ArrayBuffer): Map<number, { type: number; values: number[] }> {
+    const view = new DataView(buffer);
+    const ifd = view.getUint32(4, true);
+    const sizes: Record<number, number> = { 2: 1, 3: 2, 4: 4, 12: 8 };
+    const tags = new Map<number, { type: number; values: number[] }>();
+    for (let k = 0; k < view.getUint16(ifd, true); k++) {
+        const entry = ifd + 2 + k * 12;
+        const type = view.getUint16(entry + 2, true);
+        const count = view.getUint32(entry + 4, true);
+        const size = sizes[type];
+        const offset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, true);
+        const values = Array.from({ length: count }, (_, i) => {
+            switch (type) {
+                case 3: return view.getUint16(offset + 2 * i, true);
+                case 4: return view.getUint32(offset + 4 * i, true);
+                case 12: return view.getFloat64(offset + 8 * i, true);
+                default: return view.getUint8(offset + i);
+            }
+        });
+        tags.set(view.getUint16(entry, true), { type, values });
+    }
+    return tags;
+}
+
+describe('toAsciiGrid', () => {
+    it('writes the header and the rows from north to south', () => {
+        const lines = toAsciiGrid(grid).trim().split('\n');
+        expect(lines.slice(0, 4)).toEqual(['ncols 3', 'nrows 2', 'xllcorner 2', 'yllcorner 48']);
+        const [dxKey, dx] = lines[4].split(' ');
+        const [dyKey, dy] = lines[5].split(' ');
+        expect([dxKey, dyKey]).toEqual(['dx', 'dy']);
+        expect(Number(dx)).toBeCloseTo(0.1, 12);
+        expect(Number(dy)).toBeCloseTo(0.2, 12);
+        expect(lines[6]).toBe(`NODATA_value ${DEFAULT_NODATA}`);
+        expect(lines[7]).toBe('1 2 3');
+        expect(lines[8]).toBe(`4 ${DEFAULT_NODATA} 6`);
+    });
+
+    it('uses cellsize for square cells', () => {
+        const square = toAsciiGrid({ ...grid, bounds: [0, 0, 3, 2] });
+        expect(square).toContain('cellsize 1\n');
+        expect(square).not.toContain('dx ');
+    });
+});
+
+describe('toGeoTIFF', () => {
+    const buffer = toGeoTIFF(grid, -1);
+    const view = new DataView(buffer);
+    const tags = readTags(buffer);
+
+    it('writes a little-endian TIFF header', () => {
+        expect(String.fromCharCode(view.getUint8(0), view.getUint8(1))).toBe('II');
+        expect(view.getUint16(2, true)).toBe(42);
+    });
+
+    it('lists its tags in ascending order', () => {
+        const ids = [...tags.keys()];
+        expect(ids).toEqual([...ids].sort((a, b) => a - b));
+    });
+
+    it('describes a single-band uncompressed Float32 image', () => {
+        expect(tags.get(256)!.values).toEqual([3]);
+        expect(tags.get(257)!.values).toEqual([2]);
+        expect(tags.get(258)!.values).toEqual([32]);
+        expect(tags.get(259)!.values).toEqual([1]);
+        expect(tags.get(339)!.values).toEqual([3]);
+        expect(tags.get(279)!.values).toEqual([3 * 2 * 4]);
+    });
+
+    it('georeferences the north-west corner in EPSG:4326', () => {
+        const [dx, dy] = tags.get(33550)!.values;
+        expect(dx).toBeCloseTo(0.1, 12);
+        expect(dy).toBeCloseTo(0.2, 12);
+        const tiepoint = tags.get(33922)!.values;
+        expect(tiepoint.slice(3, 5)).toEqual([2, 48.4]);
+        expect(tags.get(34735)!.values.slice(-4)).toEqual([2048, 0, 1, 4326]);
+        expect(String.fromCharCode(...tags.get(42113)!.values)).toBe('-1\0');
+    });
+
+    it('stores the pixels row by row from the north, no-data for masked cells', () => {
+        const offset = tags.get(273)!.values[0];
+        const pixels = Array.from({ length: 6 }, (_, k) => view.getFloat32(offset + 4 * k, true));
+        expect(pixels).toEqual([1, 2, 3, 4, -1, 6]);
+        expect(buffer.byteLength).toBe(offset + 24);
+    });
+});
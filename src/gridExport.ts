@@ -0,0 +1,239 @@
+/**
+ * Grid Export - ESRI ASCII Grid, GeoTIFF, CSV and GeoJSON writers
+ *
+ * Cells of a `ValueGrid` tile its bounds exactly, row 0 being the northern
+ * edge, which is the layout every raster format below expects. Masked
+ * (NaN) cells are written as the no-data value.
+ */
+
+import { ValueGrid } from './interpolation.types';
+import { cellCenter } from './grid';
+
+export const DEFAULT_NODATA = -9999;
+
+/**
+ * Named grids sharing the same geometry, e.g. { h2: estimate, variance: variance }
+ */
+export type GridLayers = Record<string, ValueGrid>;
+
+/**
+ * ESRI ASCII Grid. Non-square cells are written with the dx/dy keywords
+ * understood by GDAL and QGIS.
+ */
+export function toAsciiGrid(grid: ValueGrid, noData: number = DEFAULT_NODATA): string {
+    const { width, height, values } = grid;
+    const [minLon, minLat] = grid.bounds;
+    const { dx, dy } = cellSize(grid);
+
+    const lines = [
+        `ncols ${width}`,
+        `nrows ${height}`,
+        `xllcorner ${minLon}`,
+        `yllcorner ${minLat}`
+    ];
+    if (Math.abs(dx - dy) <= 1e-9 * Math.max(dx, dy)) {
+        lines.push(`cellsize ${dx}`);
+    } else {
+        lines.push(`dx ${dx}`, `dy ${dy}`);
+    }
+    lines.push(`NODATA_value ${noData}`);
+
+    for (let j = 0; j < height; j++) {
+        const row: string[] = [];
+        for (let i = 0; i < width; i++) {
+            const value = values[j * width + i];
+            row.push(isNaN(value) ? String(noData) : String(value));
+        }
+        lines.push(row.join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Single-band Float32 GeoTIFF georeferenced in geographic coordinates
+ * (EPSG:4326 by default)
+ */
+export function toGeoTIFF(grid: ValueGrid, noData: number = DEFAULT_NODATA, epsg: number = 4326): ArrayBuffer {
+    const { width, height, values } = grid;
+    const [minLon, , , maxLat] = grid.bounds;
+    const { dx, dy } = cellSize(grid);
+
+    const noDataText = `${noData}\0`;
+    const geoKeys = [
+        1, 1, 0, 3,          // Directory version, revision, key count
+        1024, 0, 1, 2,       // GTModelTypeGeoKey = Geographic
+        1025, 0, 1, 1,       // GTRasterTypeGeoKey = PixelIsArea
+        2048, 0, 1, epsg     // GeographicTypeGeoKey
+    ];
+
+    // Tags in ascending order: [tag, type, values]
+    const SHORT = 3, LONG = 4, ASCII = 2, DOUBLE = 12;
+    const imageBytes = width * height * 4;
+    const tags: [number, number, number[] | string][] = [
+        [256, LONG, [width]],
+        [257, LONG, [height]],
+        [258, SHORT, [32]],
+        [259, SHORT, [1]],                  // No compression
+        [262, SHORT, [1]],                  // BlackIsZero
+        [273, LONG, [0]],                   // Strip offset, patched below
+        [277, SHORT, [1]],
+        [278, LONG, [height]],
+        [279, LONG, [imageBytes]],
+        [284, SHORT, [1]],
+        [339, SHORT, [3]],                  // IEEE floating point
+        [33550, DOUBLE, [dx, dy, 0]],       // ModelPixelScale
+        [33922, DOUBLE, [0, 0, 0, minLon, maxLat, 0]], // ModelTiepoint
+        [34735, SHORT, geoKeys],            // GeoKeyDirectory
+        [42113, ASCII, noDataText]          // GDAL_NODATA
+    ];
+
+    const typeSize = (type: number) => type === DOUBLE ? 8 : type === LONG ? 4 : type === SHORT ? 2 : 1;
+    const count = (value: number[] | string) => value.length;
+
+    // Layout: header | IFD | out-of-line tag values | image data
+    const ifdOffset = 8;
+    const ifdSize = 2 + tags.length * 12 + 4;
+    let extraOffset = ifdOffset + ifdSize;
+    const extraOffsets = tags.map(([, type, value]) => {
+        const size = typeSize(type) * count(value);
+        if (size <= 4) return 0;
+        const offset = extraOffset;
+        extraOffset += size + (size % 2); // Word alignment
+        return offset;
+    });
+    const imageOffset = extraOffset + (extraOffset % 4 === 0 ? 0 : 4 - extraOffset % 4);
+    (tags[5][2] as number[])[0] = imageOffset;
+
+    const buffer = new ArrayBuffer(imageOffset + imageBytes);
+    const view = new DataView(buffer);
+
+    // Header: little-endian TIFF
+    view.setUint8(0, 0x49);
+    view.setUint8(1, 0x49);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+
+    const writeValues = (offset: number, type: number, value: number[] | string) => {
+        for (let k = 0; k < count(value); k++) {
+            const v = value[k];
+            switch (type) {
+                case ASCII: view.setUint8(offset + k, (v as string).charCodeAt(0)); break;
+                case SHORT: view.setUint16(offset + 2 * k, v as number, true); break;
+                case LONG: view.setUint32(offset + 4 * k, v as number, true); break;
+                case DOUBLE: view.setFloat64(offset + 8 * k, v as number, true); break;
+            }
+        }
+    };
+
+    view.setUint16(ifdOffset, tags.length, true);
+    tags.forEach(([tag, type, value], k) => {
+        const entry = ifdOffset + 2 + k * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, count(value), true);
+        if (extraOffsets[k] === 0) {
+            writeValues(entry + 8, type, value);
+        } else {
+            view.setUint32(entry + 8, extraOffsets[k], true);
+            writeValues(extraOffsets[k], type, value);
+        }
+    });
+    view.setUint32(ifdOffset + 2 + tags.length * 12, 0, true); // No next IFD
+
+    for (let k = 0; k < width * height; k++) {
+        const value = values[k];
+        view.setFloat32(imageOffset + 4 * k, isNaN(value) ? noData : value, true);
+    }
+
+    return buffer;
+}
+
+/**
+ * CSV with one row per cell center: lon, lat and one column per layer
+ */
+export function toGridCSV(layers: GridLayers): string {
+    const names = Object.keys(layers);
+    const grid = referenceGrid(layers);
+    const lines = [['lon', 'lat', ...names].join(',')];
+
+    for (let j = 0; j < grid.height; j++) {
+        for (let i = 0; i < grid.width; i++) {
+            const { lon, lat } = cellCenter(grid.bounds, grid.width, grid.height, i, j);
+            const k = j * grid.width + i;
+            const cells = names.map(name => {
+                const value = layers[name].values[k];
+                return isNaN(value) ? '' : String(value);
+            });
+            lines.push([lon, lat, ...cells].join(','));
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * GeoJSON FeatureCollection of cell polygons, with one property per layer.
+ * Cells masked in every layer are skipped.
+ */
+export function toGridGeoJSON(layers: GridLayers): object {
+    const names = Object.keys(layers);
+    const grid = referenceGrid(layers);
+    const { dx, dy } = cellSize(grid);
+    const features: object[] = [];
+
+    for (let j = 0; j < grid.height; j++) {
+        for (let i = 0; i < grid.width; i++) {
+            const k = j * grid.width + i;
+            const properties: Record<string, number | null> = {};
+            let masked = true;
+            for (const name of names) {
+                const value = layers[name].values[k];
+                properties[name] = isNaN(value) ? null : value;
+                masked = masked && isNaN(value);
+            }
+            if (masked) continue;
+
+            const { lon, lat } = cellCenter(grid.bounds, grid.width, grid.height, i, j);
+            const [west, east] = [lon - dx / 2, lon + dx / 2];
+            const [south, north] = [lat - dy / 2, lat + dy / 2];
+            features.push({
+                type: 'Feature',
+                properties,
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+                }
+            });
+        }
+    }
+
+    return { type: 'FeatureCollection', features };
+}
+
+function cellSize(grid: ValueGrid): { dx: number; dy: number } {
+    const [minLon, minLat, maxLon, maxLat] = grid.bounds;
+    return {
+        dx: (maxLon - minLon) / grid.width,
+        dy: (maxLat - minLat) / grid.height
+    };
+}
+
+/**
+ * First layer of a set, checking that all layers share its geometry
+ */
+function referenceGrid(layers: GridLayers): ValueGrid {
+    const grids = Object.values(layers);
+    if (grids.length === 0) {
+        throw new Error('No grid to export');
+    }
+
+    const [first] = grids;
+    for (const grid of grids) {
+        if (grid.width !== first.width || grid.height !== first.height ||
+            grid.bounds.some((b, k) => b !== first.bounds[k])) {
+            throw new Error('All exported grids must share the same geometry');
+        }
+    }
+    return first;
+}
@@ -1,5 +1,24 @@
-import { DataPoint } from './interpolation.types';
+import { DataPoint, DistanceUnits, Interpolator, InterpolationParams } from './interpolation.types';
+import { KDTree, Neighbor } from './kdtree';
+import { createProjection } from './projection';
 
+/**
+ * Neighborhood and distance units of the IDW interpolator
+ */
+export type IDWOptions = Pick<InterpolationParams, 'neighbors' | 'searchRadius' | 'units'>;
+
+/**
+ * Default minimum distance in the given units: 10 m once projected, as in
+ * the UI, 0.0001 (about 11 m) on raw degrees
+ */
+export function defaultMinDistance(units: DistanceUnits = 'km'): number {
+    return { degrees: 0.0001, m: 10, km: 0.01 }[units];
+}
+
+/**
+ * IDW with Euclidean distances on the raw coordinates of the points
+ * (see createIDWInterpolator for projected distances)
+ */
 export default function interpolateIDW(
     lon: number,
     lat: number,
@@ -9,6 +28,8 @@ export default function interpolateIDW(
 ): number {
     let weightSum = 0;
     let valueSum = 0;
+    let closeCount = 0;
+    let closeSum = 0;
 
     for (const point of points) {
         const distance = Math.sqrt(
@@ -16,7 +37,9 @@ export default function interpolateIDW(
         );
 
         if (distance < minDistance) {
-            return point.h2;
+            closeCount++;
+            closeSum += point.h2;
+            continue;
         }
 
         const weight = 1 / Math.pow(distance, power);
@@ -24,5 +47,119 @@ export default function interpolateIDW(
         valueSum += weight * point.h2;
     }
 
+    // Samples closer than minDistance take the whole weight, shared equally
+    if (closeCount > 0) {
+        return closeSum / closeCount;
+    }
     return valueSum / weightSum;
-}
\ No newline at end of file
+}
+
+/**
+ * Normalized IDW weights of each point for a target location.
+ * Points closer than `minDistance` (in `options.units`, see
+ * defaultMinDistance) share the whole weight. Points outside the
+ * neighborhood get a zero weight.
+ */
+export function idwWeights(
+    lon: number,
+    lat: number,
+    points: DataPoint[],
+    power: number = 2,
+    minDistance?: number,
+    options: IDWOptions = {}
+): number[] {
+    const projection = createProjection(points, options.units ?? 'km');
+    const threshold = minDistance ?? defaultMinDistance(options.units);
+    if (projection) {
+        const { x, y } = projection.forward(lon, lat);
+        return planarWeights(x, y, projection.projectPoints(points), power, threshold, options);
+    }
+    return planarWeights(lon, lat, points, power, threshold, options);
+}
+
+/**
+ * Wrap IDW into an `Interpolator` bound to a set of points. Distances,
+ * `minDistance` included, are measured in the projection selected by
+ * `options.units`. With a neighborhood, only the samples found through a
+ * k-d tree are used and locations without any neighbor are NaN.
+ */
+export function createIDWInterpolator(
+    points: DataPoint[],
+    power: number = 2,
+    minDistance?: number,
+    options: IDWOptions = {}
+): Interpolator {
+    const projection = createProjection(points, options.units ?? 'km');
+    const threshold = minDistance ?? defaultMinDistance(options.units);
+    const planar = projection ? projection.projectPoints(points) : points;
+    const toPlanar = (lon: number, lat: number) => projection ? projection.forward(lon, lat) : { x: lon, y: lat };
+
+    if (!isLocal(options)) {
+        return {
+            interpolate: (lon: number, lat: number) => {
+                const { x, y } = toPlanar(lon, lat);
+                return interpolateIDW(x, y, planar, power, threshold);
+            }
+        };
+    }
+
+    const index = new KDTree(planar);
+    return {
+        interpolate: (lon: number, lat: number) => {
+            const { x, y } = toPlanar(lon, lat);
+            const local = findNeighbors(index, x, y, options).map(neighbor => planar[neighbor.index]);
+            return local.length > 0 ? interpolateIDW(x, y, local, power, threshold) : NaN;
+        }
+    };
+}
+
+/**
+ * IDW weights with Euclidean distances on the given coordinates
+ */
+function planarWeights(
+    x: number,
+    y: number,
+    points: DataPoint[],
+    power: number,
+    minDistance: number,
+    neighborhood: IDWOptions
+): number[] {
+    if (isLocal(neighborhood)) {
+        const found = findNeighbors(new KDTree(points), x, y, neighborhood);
+        const local = planarWeights(x, y, found.map(neighbor => points[neighbor.index]), power, minDistance, {});
+        const weights: number[] = Array(points.length).fill(0);
+        found.forEach((neighbor, k) => {
+            weights[neighbor.index] = local[k];
+        });
+        return weights;
+    }
+
+    const weights: number[] = [];
+    const close: boolean[] = [];
+    let weightSum = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        const distance = Math.sqrt(
+            Math.pow(points[i].lon - x, 2) + Math.pow(points[i].lat - y, 2)
+        );
+        close.push(distance < minDistance);
+
+        const weight = 1 / Math.pow(distance, power);
+        weights.push(weight);
+        weightSum += weight;
+    }
+
+    const closeCount = close.filter(Boolean).length;
+    if (closeCount > 0) {
+        return close.map(isClose => isClose ? 1 / closeCount : 0);
+    }
+    return weights.map(w => w / weightSum);
+}
+
+function isLocal(neighborhood: IDWOptions): boolean {
+    return neighborhood.neighbors != null || neighborhood.searchRadius != null;
+}
+
+function findNeighbors(index: KDTree, x: number, y: number, neighborhood: IDWOptions): Neighbor[] {
+    return index.nearest(x, y, neighborhood.neighbors ?? Infinity, neighborhood.searchRadius ?? Infinity);
+}
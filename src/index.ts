@@ -2,4 +2,28 @@ export * from "./generateHeatMap"
 export * from "./ColorMapper"
 export * from "./interpolation.types"
 export * from "./kriging"
-export * from "./idw"
\ No newline at end of file
+export * from "./idw"
+export * from "./crossValidation"
+export * from "./variogram"
+export * from "./dataLoader"
+export * from "./MapView"
+export * from "./grid"
+export * from "./contours"
+export * from "./gridExport"
+export * from "./WorkerPool"
+export * from "./kdtree"
+export * from "./linalg"
+export * from "./projection"
+export * from "./delaunay"
+export * from "./planar"
+export * from "./tin"
+export * from "./naturalNeighbor"
+export * from "./rbf"
+export * from "./nearestNeighbor"
+export * from "./transform"
+export * from "./session"
+export * from "./printExport"
+export * from "./mask"
+export * from "./simulation"
+export * from "./campaigns"
+export * from "./quality"
\ No newline at end of file
@@ -6,23 +6,82 @@ export interface DataPoint {
     lat: number;
     lon: number;
     h2: number;
+    campaign?: string;     // Survey campaign or date of the sample, when several are loaded
 }
 
 export type Bounds = [number, number, number, number]; // [minLon, minLat, maxLon, maxLat]
 
-export type InterpolationAlgorithm = 'kriging' | 'idw';
+/**
+ * Regular grid of interpolated values sampled at cell centers.
+ * Values are stored row by row, row 0 being the northern edge.
+ */
+export interface ValueGrid {
+    values: ArrayLike<number>; // width * height values, NaN where masked
+    width: number;             // Number of columns
+    height: number;            // Number of rows
+    bounds: Bounds;
+}
+
+export type InterpolationAlgorithm = 'kriging' | 'idw' | 'natural' | 'tin' | 'rbf' | 'nearest';
 
 export type VariogramModel = 'exponential' | 'gaussian' | 'spherical';
 
+export type KrigingType = 'simple' | 'ordinary' | 'universal';
+
+export type DriftOrder = 'linear' | 'quadratic'; // Trend degree for universal Kriging
+
+export type RBFKernel = 'thinPlate' | 'multiquadric'; // r² log r or sqrt(r² + ε²)
+
+export type DataTransformType = 'none' | 'log' | 'boxcox' | 'normalScore'; // Applied to the values before interpolation
+
+export type NegativeValues = 'keep' | 'clamp' | 'mask'; // Negative estimates kept, set to 0 or masked (NaN)
+
+export type DistanceUnits = 'degrees' | 'm' | 'km'; // Raw lon/lat degrees or a local metric projection
+
+export type ClipMode = 'none' | 'hull' | 'buffer' | 'polygon'; // Surface clipped to the convex hull of the samples, the hull grown by a distance, or polygons
+
+export type PolygonRings = [number, number][][]; // GeoJSON polygon: rings of [lon, lat], the first one exterior
+
+export type DisplayMode = 'estimate' | 'variance' | 'stddev' | 'ci95' | 'exceedance'; // Kriging estimate, variance, standard deviation, 95% confidence half-width or probability of exceeding a threshold
+
 export interface InterpolationParams {
     power?: number;          // For IDW
-    minDistance?: number;    // For IDW
+    minDistance?: number;    // For IDW, in `units` (default 10 m, or 0.0001 degrees)
     model?: VariogramModel;  // For Kriging
     nugget?: number;         // For Kriging
     sill?: number | null;    // For Kriging
     range?: number | null;   // For Kriging
+    lagCount?: number;       // For Kriging variogram fitting
+    lagWidth?: number | null; // For Kriging variogram fitting
+    krigingType?: KrigingType; // For Kriging
+    drift?: DriftOrder;      // For universal Kriging
+    neighbors?: number | null;    // Moving neighborhood: max samples per estimate (all if null)
+    searchRadius?: number | null; // Moving neighborhood: search radius (unlimited if null)
+    units?: DistanceUnits;        // Units of every distance parameter (default 'km')
+    anisotropyAngle?: number;     // For Kriging: azimuth of the major axis, degrees clockwise from north
+    anisotropyRatio?: number;     // For Kriging: minor / major range, in (0, 1]
+    rbfKernel?: RBFKernel;        // For RBF
+    rbfShape?: number | null;     // For multiquadric RBF: shape parameter ε in distance units (auto if null)
+    rbfSmoothing?: number;        // For RBF: added to the diagonal, 0 interpolates the samples exactly
+    rbfClamp?: boolean;           // For RBF: clamp estimates to the range of the samples (default false)
+    transform?: DataTransformType;    // Default 'none'
+    boxCoxLambda?: number | null;     // For the Box-Cox transform (maximum likelihood if null)
+    negativeValues?: NegativeValues;  // Handling of negative estimates (default 'keep')
+    clip?: ClipMode;                  // Default 'none'
+    clipBuffer?: number;              // For 'buffer': distance around the convex hull (distance units)
+    clipPolygons?: PolygonRings[] | null; // For 'polygon': cells outside every polygon are masked
+    maxDistance?: number | null;      // Mask cells farther than this from every sample (distance units)
+    maxVariance?: number | null;      // For Kriging: mask cells with a larger variance
+    regularization?: number;          // For Kriging: fraction of the sill added to the diagonal, for coincident samples (default 1e-6 when samples coincide, 0 otherwise)
 }
 
 export interface Interpolator {
     interpolate(lon: number, lat: number): number;
+}
+
+/**
+ * Interpolator exposing the weight of each sample in an estimate
+ */
+export interface WeightedInterpolator extends Interpolator {
+    weights(lon: number, lat: number): number[];
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * Interpolation worker - builds models and evaluates grid tiles, probes,
+ * simulations and cross-validations on behalf of InterpolationWorkerPool
+ */
+
+import Kriging from './kriging';
+import { idwWeights } from './idw';
+import { Interpolator, WeightedInterpolator } from './interpolation.types';
+import { createInterpolator, createValueFunction } from './generateHeatMap';
+import { sampleTile } from './grid';
+import { createMask, CellMask } from './mask';
+import { applyNegativeValues } from './transform';
+import { GaussianSimulation } from './simulation';
+import crossValidate from './crossValidation';
+import { WorkerRequest, WorkerResponse, ModelInfo, ProbeResult } from './WorkerPool';
+
+type ModelSpec = Extract<WorkerRequest, { type: 'model' }>;
+
+const specs = new Map<number, ModelSpec>();
+const models = new Map<number, Interpolator>();
+const masks = new Map<number, CellMask | null>();
+const simulations = new Map<number, GaussianSimulation>();
+
+self.onmessage = (event: MessageEvent<WorkerRequest>) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'model':
+            specs.set(message.modelId, message);
+            return;
+        case 'release':
+            specs.delete(message.modelId);
+            models.delete(message.modelId);
+            masks.delete(message.modelId);
+            simulations.delete(message.modelId);
+            return;
+    }
+
+    try {
+        const spec = specs.get(message.modelId);
+        if (!spec) {
+            throw new Error(`Unknown model ${message.modelId}`);
+        }
+        // Cross-validation refits on subsets and never needs the full model
+        if (message.type === 'crossValidate') {
+            const result = crossValidate(spec.data, training => createInterpolator(training, spec.algorithm, spec.params));
+            reply({ type: 'crossValidation', requestId: message.requestId, result });
+            return;
+        }
+        const interpolator = getModel(spec);
+        const mask = getMask(spec, interpolator);
+
+        switch (message.type) {
+            case 'tile': {
+                const valueAt = createValueFunction(interpolator, message.displayMode, spec.params.negativeValues, mask, message.threshold);
+                const values = sampleTile(message.bounds, message.gridWidth, message.gridHeight, message.tile, valueAt);
+                reply({ type: 'tile', requestId: message.requestId, values }, [values.buffer]);
+                break;
+            }
+            case 'probe':
+                reply({ type: 'probe', requestId: message.requestId, result: probe(spec, interpolator, mask, message.lon, message.lat, message.weights) });
+                break;
+            case 'describe':
+                reply({ type: 'describe', requestId: message.requestId, info: describe(spec, interpolator) });
+                break;
+            case 'simulate': {
+                const grid = getSimulation(spec).simulate(message.bounds, message.gridWidth, message.gridHeight, message.seed, mask);
+                const values = Float32Array.from(grid.values);
+                reply({ type: 'simulation', requestId: message.requestId, values }, [values.buffer]);
+                break;
+            }
+        }
+    } catch (error) {
+        reply({ type: 'error', requestId: message.requestId, message: error instanceof Error ? error.message : String(error) });
+    }
+};
+
+function reply(response: WorkerResponse, transfer: Transferable[] = []): void {
+    self.postMessage(response, { transfer });
+}
+
+function getModel(spec: ModelSpec): Interpolator {
+    let model = models.get(spec.modelId);
+    if (!model) {
+        model = createInterpolator(spec.data, spec.algorithm, spec.params);
+        models.set(spec.modelId, model);
+    }
+    return model;
+}
+
+function getMask(spec: ModelSpec, interpolator: Interpolator): CellMask | null {
+    if (!masks.has(spec.modelId)) {
+        masks.set(spec.modelId, createMask(spec.data, interpolator, spec.params));
+    }
+    return masks.get(spec.modelId)!;
+}
+
+function getSimulation(spec: ModelSpec): GaussianSimulation {
+    let simulation = simulations.get(spec.modelId);
+    if (!simulation) {
+        simulation = new GaussianSimulation(spec.data, spec.params);
+        simulations.set(spec.modelId, simulation);
+    }
+    return simulation;
+}
+
+/**
+ * Estimate at a location, NaN outside the mask (weights and variance are
+ * still reported)
+ */
+function probe(spec: ModelSpec, interpolator: Interpolator, mask: CellMask | null, lon: number, lat: number, withWeights: boolean): ProbeResult {
+    const kriging = interpolator instanceof Kriging ? interpolator : null;
+    let weights: number[] | null = null;
+    if (withWeights) {
+        if (hasWeights(interpolator)) {
+            weights = interpolator.weights(lon, lat);
+        } else if (spec.algorithm === 'idw') {
+            weights = idwWeights(lon, lat, spec.data, spec.params.power, spec.params.minDistance, spec.params);
+        }
+    }
+
+    return {
+        value: !mask || mask(lon, lat) ? applyNegativeValues(interpolator.interpolate(lon, lat), spec.params.negativeValues) : NaN,
+        variance: kriging ? kriging.variance(lon, lat) : null,
+        weights
+    };
+}
+
+function describe(spec: ModelSpec, interpolator: Interpolator): ModelInfo {
+    const kriging = interpolator instanceof Kriging ? interpolator : null;
+    return {
+        algorithm: spec.algorithm,
+        parameters: kriging ? kriging.getParameters() : null,
+        variogram: kriging ? kriging.getExperimentalVariogram() : null,
+        directional: kriging ? kriging.getDirectionalVariograms() : null,
+        variogramMap: kriging ? kriging.getVariogramMap() : null
+    };
+}
+
+function hasWeights(interpolator: Interpolator): interpolator is WeightedInterpolator {
+    return 'weights' in interpolator && typeof interpolator.weights === 'function';
+}
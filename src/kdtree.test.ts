@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { KDTree } from './kdtree';
+
+// Deterministic scattered points
+function scatter(count: number): { lon: number; lat: number }[] {
+    let state = 12345;
+    const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+    return Array.from({ length: count }, () => ({ lon: random() * 10, lat: random() * 10 }));
+}
+
+function bruteForce(points: { lon: number; lat: number }[], lon: number, lat: number) {
+    return points
+        .map((p, index) => ({ index, distance: Math.hypot(p.lon - lon, p.lat - lat) }))
+        .sort((a, b) => a.distance - b.distance);
+}
+
+describe('KDTree', () => {
+    const points = scatter(500);
+    const tree = new KDTree(points);
+
+    it('finds the same k nearest points as a brute-force search, closest first', () => {
+        for (const [lon, lat] of [[5, 5], [0, 0], [9.5, 2], [-3, 12]]) {
+            const expected = bruteForce(points, lon, lat).slice(0, 8);
+            const found = tree.nearest(lon, lat, 8);
+            expect(found.map(n => n.index)).toEqual(expected.map(n => n.index));
+            found.forEach((n, k) => expect(n.distance).toBeCloseTo(expected[k].distance, 12));
+        }
+    });
+
+    it('returns every point within a radius', () => {
+        const expected = bruteForce(points, 3, 7).filter(n => n.distance <= 1.5);
+        expect(tree.within(3, 7, 1.5).map(n => n.index)).toEqual(expected.map(n => n.index));
+    });
+
+    it('limits the k nearest points to the search radius', () => {
+        const found = tree.nearest(5, 5, 50, 0.5);
+        expect(found.length).toBeLessThan(50);
+        expect(found.every(n => n.distance <= 0.5)).toBe(true);
+    });
+
+    it('handles empty trees and k = 0', () => {
+        expect(new KDTree([]).nearest(0, 0, 3)).toEqual([]);
+        expect(tree.nearest(5, 5, 0)).toEqual([]);
+        expect(tree.size).toBe(500);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * K-d Tree - Spatial index over lon/lat points
+ *
+ * Implicit 2-d tree: point indices are reordered so that every range
+ * [lo, hi) has its splitting point at the middle, alternating the lon and
+ * lat axes with depth. Distances are Euclidean in the coordinate space,
+ * like the interpolators using the index.
+ */
+
+export interface Neighbor {
+    index: number;      // Index in the original point array
+    distance: number;
+}
+
+export class KDTree {
+    private order: Uint32Array;
+    private xs: Float64Array;
+    private ys: Float64Array;
+
+    constructor(points: { lon: number; lat: number }[]) {
+        const n = points.length;
+        this.xs = new Float64Array(n);
+        this.ys = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            this.xs[i] = points[i].lon;
+            this.ys[i] = points[i].lat;
+        }
+
+        this.order = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            this.order[i] = i;
+        }
+        this.build(0, n, 0);
+    }
+
+    public get size(): number {
+        return this.order.length;
+    }
+
+    /**
+     * The k nearest points within maxDistance, closest first.
+     * With k = Infinity every point within maxDistance is returned.
+     */
+    public nearest(lon: number, lat: number, k: number = 1, maxDistance: number = Infinity): Neighbor[] {
+        const found: Neighbor[] = [];
+        if (k <= 0) {
+            return found;
+        }
+
+        // Squared search radius, shrunk to the k-th distance once k points are found
+        let limit = maxDistance * maxDistance;
+
+        const visit = (lo: number, hi: number, depth: number): void => {
+            if (lo >= hi) return;
+
+            const mid = (lo + hi) >> 1;
+            const index = this.order[mid];
+            const dx = this.xs[index] - lon;
+            const dy = this.ys[index] - lat;
+            const d2 = dx * dx + dy * dy;
+
+            if (d2 <= limit) {
+                insertSorted(found, { index, distance: d2 });
+                if (found.length > k) found.pop();
+                if (found.length === k) limit = found[k - 1].distance;
+            }
+
+            // Near side first, far side only if the splitting line is within reach
+            const delta = depth % 2 === 0 ? dx : dy;
+            const [near, far] = delta > 0
+                ? [[lo, mid], [mid + 1, hi]]
+                : [[mid + 1, hi], [lo, mid]];
+            visit(near[0], near[1], depth + 1);
+            if (delta * delta <= limit) {
+                visit(far[0], far[1], depth + 1);
+            }
+        };
+        visit(0, this.order.length, 0);
+
+        for (const neighbor of found) {
+            neighbor.distance = Math.sqrt(neighbor.distance);
+        }
+        return found;
+    }
+
+    /**
+     * Every point within a radius, closest first
+     */
+    public within(lon: number, lat: number, radius: number): Neighbor[] {
+        return this.nearest(lon, lat, Infinity, radius);
+    }
+
+    /**
+     * Partially sort order[lo, hi) so that its middle element splits the range
+     */
+    private build(lo: number, hi: number, depth: number): void {
+        if (hi - lo <= 1) return;
+
+        const coords = depth % 2 === 0 ? this.xs : this.ys;
+        const mid = (lo + hi) >> 1;
+        select(this.order, coords, lo, hi - 1, mid);
+
+        this.build(lo, mid, depth + 1);
+        this.build(mid + 1, hi, depth + 1);
+    }
+}
+
+/**
+ * Quickselect: put the element of rank k at position k, smaller ones before it
+ */
+function select(order: Uint32Array, coords: Float64Array, left: number, right: number, k: number): void {
+    while (right > left) {
+        const pivot = coords[order[(left + right) >> 1]];
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (coords[order[i]] < pivot) i++;
+            while (coords[order[j]] > pivot) j--;
+            if (i <= j) {
+                const swap = order[i];
+                order[i] = order[j];
+                order[j] = swap;
+                i++;
+                j--;
+            }
+        }
+        if (k <= j) {
+            right = j;
+        } else if (k >= i) {
+            left = i;
+        } else {
+            return;
+        }
+    }
+}
+
+function insertSorted(list: Neighbor[], item: Neighbor): void {
+    let k = list.length;
+    list.push(item);
+    while (k > 0 && list[k - 1].distance > item.distance) {
+        list[k] = list[k - 1];
+        k--;
+    }
+    list[k] = item;
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import Kriging from './kriging';
+import { DataPoint } from './interpolation.types';
+import { BoxCoxTransform, LogTransform, NormalScoreTransform } from './transform';
+
+// Deterministic scatter over about 15 x 22 km
+function samples(value: (lon: number, lat: number) => number, count: number = 30): DataPoint[] {
+    let state = 42;
+    const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+    return Array.from({ length: count }, () => {
+        const lon = 2 + 0.2 * random();
+        const lat = 48 + 0.2 * random();
+        return { lon, lat, h2: value(lon, lat) };
+    });
+}
+
+const smooth = (lon: number, lat: number) => 5 + 3 * Math.sin(30 * lon) + 2 * Math.cos(40 * lat);
+const VARIOGRAM = { model: 'spherical' as const, nugget: 0, sill: 4, range: 10 };
+
+describe('Kriging modes', () => {
+    const data = samples(smooth);
+
+    for (const type of ['simple', 'ordinary', 'universal'] as const) {
+        it(`${type} Kriging honors the samples without a nugget`, () => {
+            const kriging = new Kriging(data, { ...VARIOGRAM, type });
+            for (const point of data.slice(0, 5)) {
+                expect(kriging.interpolate(point.lon, point.lat)).toBeCloseTo(point.h2, 6);
+                expect(kriging.variance(point.lon, point.lat)).toBeCloseTo(0, 6);
+            }
+        });
+    }
+
+    it('ordinary Kriging weights sum to 1', () => {
+        const weights = new Kriging(data, { ...VARIOGRAM, type: 'ordinary' }).weights(2.1, 48.1);
+        expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+    });
+
+    it('universal Kriging reproduces a linear trend everywhere', () => {
+        const plane = (lon: number, lat: number) => 1 + 20 * (lon - 2) - 35 * (lat - 48);
+        const kriging = new Kriging(samples(plane), { ...VARIOGRAM, type: 'universal', drift: 'linear' });
+        for (const [lon, lat] of [[2.05, 48.05], [2.13, 48.17], [2.19, 48.02]]) {
+            expect(kriging.interpolate(lon, lat)).toBeCloseTo(plane(lon, lat), 6);
+        }
+    });
+
+    it('gives the same estimates with a moving neighborhood holding every sample', () => {
+        const global = new Kriging(data, { ...VARIOGRAM, type: 'ordinary' });
+        const local = new Kriging(data, { ...VARIOGRAM, type: 'ordinary', neighbors: data.length });
+        expect(local.interpolate(2.1, 48.1)).toBeCloseTo(global.interpolate(2.1, 48.1), 8);
+        expect(local.variance(2.1, 48.1)).toBeCloseTo(global.variance(2.1, 48.1), 8);
+    });
+});
+
+describe('Kriging with a transform', () => {
+    const data = samples((lon, lat) => Math.exp(smooth(lon, lat) / 3));
+    const values = data.map(d => d.h2);
+
+    for (const type of ['simple', 'ordinary', 'universal'] as const) {
+        it(`${type} lognormal Kriging is the same for log and Box-Cox λ = 0`, () => {
+            const log = new Kriging(data, { model: 'spherical', type, transform: new LogTransform() });
+            const boxCox = new Kriging(data, { model: 'spherical', type, transform: new BoxCoxTransform(0) });
+            for (const [lon, lat] of [[2.05, 48.05], [2.13, 48.17]]) {
+                expect(boxCox.interpolate(lon, lat)).toBeCloseTo(log.interpolate(lon, lat), 4);
+                expect(boxCox.exceedanceProbability(lon, lat, 3)).toBeCloseTo(log.exceedanceProbability(lon, lat, 3), 10);
+            }
+        });
+    }
+
+    it('uses the same distribution for the estimate and the exceedance probability', () => {
+        // At a sample the variance vanishes: the estimate is the sample and the distribution a step there
+        const point = data[0];
+        for (const transform of [new LogTransform(), new BoxCoxTransform(0.4), new NormalScoreTransform(values)]) {
+            const kriging = new Kriging(data, { model: 'spherical', nugget: 0, sill: 1, range: 10, type: 'ordinary', transform });
+            const estimate = kriging.interpolate(point.lon, point.lat);
+            expect(estimate).toBeCloseTo(point.h2, 6);
+            expect(kriging.exceedanceProbability(point.lon, point.lat, estimate * 0.999)).toBe(1);
+            expect(kriging.exceedanceProbability(point.lon, point.lat, estimate * 1.001)).toBe(0);
+        }
+    });
+
+    it('only applies the Lagrange correction to lognormal Kriging', () => {
+        // A Box-Cox λ ≠ 0 estimate is back-transformed without the multiplier and stays within the data range
+        const boxCox = new Kriging(data, { model: 'spherical', type: 'ordinary', transform: new BoxCoxTransform(0.5) });
+        const estimate = boxCox.interpolate(2.1, 48.1);
+        expect(estimate).toBeGreaterThan(Math.min(...values));
+        expect(estimate).toBeLessThan(Math.max(...values));
+    });
+});
+
+describe('Kriging on coincident samples', () => {
+    const data = samples(smooth);
+    const duplicated = [...data, { ...data[0], h2: data[0].h2 + 1 }];
+
+    it('regularizes the system by default', () => {
+        for (const type of ['simple', 'ordinary', 'universal'] as const) {
+            for (const neighbors of [undefined, 10]) {
+                const kriging = new Kriging(duplicated, { ...VARIOGRAM, type, neighbors });
+                // The estimate at the duplicated location averages the two measurements
+                expect(kriging.interpolate(data[0].lon, data[0].lat)).toBeCloseTo(data[0].h2 + 0.5, 2);
+            }
+        }
+    });
+
+    it('only regularizes when samples coincide', () => {
+        // The nugget-like regularization leaves a small variance at the other samples
+        const exact = new Kriging(data, { ...VARIOGRAM, type: 'ordinary' });
+        const regularized = new Kriging(duplicated, { ...VARIOGRAM, type: 'ordinary' });
+        expect(exact.variance(data[1].lon, data[1].lat)).toBeLessThan(1e-12);
+        expect(regularized.variance(data[1].lon, data[1].lat)).toBeGreaterThan(1e-9);
+    });
+
+    it('reports a singular system when the regularization is disabled', () => {
+        expect(() => new Kriging(duplicated, { ...VARIOGRAM, type: 'ordinary', regularization: 0 }))
+            .toThrow('Singular kriging system');
+    });
+});
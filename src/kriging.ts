@@ -1,24 +1,81 @@
 /**
- * Kriging Simple - Interpolation géostatistique
+ * Kriging - Interpolation géostatistique
  * 
  * Le Kriging est une méthode d'interpolation qui prend en compte
  * la corrélation spatiale entre les points de mesure.
+ *
+ * - simple : moyenne supposée nulle, pas de contrainte sur les poids
+ * - ordinary : moyenne constante inconnue (multiplicateur de Lagrange)
+ * - universal : tendance polynomiale en lon/lat (dérive linéaire ou quadratique)
+ *
+ * Avec un voisinage glissant (k plus proches voisins et/ou rayon de
+ * recherche), chaque point cible résout un petit système local au lieu
+ * d'utiliser l'inverse de la matrice complète, ce qui permet de traiter
+ * des milliers d'échantillons.
+ *
+ * Les distances sont calculées dans une projection locale métrique
+ * (mètres ou kilomètres, voir projection.ts) : portée, largeur des classes
+ * et rayon de recherche sont exprimés dans ces unités.
+ *
+ * L'anisotropie géométrique (azimut de l'axe majeur et rapport des
+ * portées mineure / majeure) est traitée comme un changement de
+ * coordonnées vers un espace isotrope ; la portée est alors celle de
+ * l'axe majeur.
+ *
+ * Avec une transformation des valeurs (log, Box-Cox, scores normaux), le
+ * variogramme et le système sont calculés sur les valeurs transformées et
+ * l'estimation est ramenée aux unités des données par l'espérance de la
+ * transformation inverse sous N(y*, σ²). En Kriging lognormal ordinaire ou
+ * universel (log, ou Box-Cox λ = 0), y* est corrigé du multiplicateur de
+ * Lagrange de la constante : z* = exp(y* + σ²/2 + μ). Pour les autres
+ * transformations, σ² est la variance sous la forme du Kriging simple.
  */
 
-import { DataPoint, VariogramModel, Interpolator } from './interpolation.types';
+import { DataPoint, VariogramModel, Interpolator, KrigingType, DriftOrder, DistanceUnits } from './interpolation.types';
+import {
+    VariogramBin, DirectionalVariogram, VariogramMap, ExperimentalVariogramOptions,
+    experimentalVariogram, directionalVariograms, variogramMap, fitVariogramModel, variogramValue, toIsotropic
+} from './variogram';
+import { KDTree } from './kdtree';
+import { choleskySolve, luSolve } from './linalg';
+import { LocalProjection, createProjection } from './projection';
+import { BoxCoxTransform, DataTransform, normalCDF } from './transform';
+
+// Régularisation par défaut en présence d'échantillons confondus (fraction du palier)
+const DEFAULT_REGULARIZATION = 1e-6;
 
 export interface KrigingParams {
     model?: VariogramModel;
     nugget?: number;
     sill?: number | null;
     range?: number | null;
+    lagCount?: number;         // Nombre de classes du variogramme expérimental
+    lagWidth?: number | null;  // Largeur des classes (automatique si null)
+    type?: KrigingType;        // 'simple' par défaut
+    drift?: DriftOrder;        // Dérive du Kriging universel ('linear' par défaut)
+    neighbors?: number | null;     // Voisinage glissant : nombre maximal de voisins
+    searchRadius?: number | null;  // Voisinage glissant : rayon de recherche
+    units?: DistanceUnits;         // Unités des distances ('km' par défaut)
+    anisotropyAngle?: number;      // Azimut de l'axe majeur (degrés depuis le nord, sens horaire)
+    anisotropyRatio?: number;      // Portée mineure / portée majeure, dans ]0, 1] (1 = isotrope)
+    transform?: DataTransform | null; // Transformation des valeurs (aucune par défaut)
+    regularization?: number;       // Ajoutée à la diagonale des covariances, en fraction du palier (par défaut 1e-6 si des échantillons coïncident, 0 sinon)
 }
 
 export interface VariogramParameters {
     model: VariogramModel;
     nugget: number;
     sill: number;
-    range: number;
+    range: number;              // Portée le long de l'axe majeur
+    units: DistanceUnits;
+    anisotropyAngle: number;
+    anisotropyRatio: number;
+}
+
+interface KrigingSolution {
+    indices: number[];            // Données intervenant dans l'estimation
+    weights: ArrayLike<number>;   // [λ ; μ]
+    rhs: ArrayLike<number>;       // [k ; f]
 }
 
 class Kriging implements Interpolator {
@@ -27,92 +84,172 @@ class Kriging implements Interpolator {
     private nugget: number;
     private sill: number;
     private range: number;
+    private bins: VariogramBin[] = [];
+    private type: KrigingType;
+    private drift: DriftOrder;
+    private center: { lon: number; lat: number } = { lon: 0, lat: 0 };
+    private scale = 1;
     private K: number[][] | null = null;
     private M: number[][] | null = null;
+    private allIndices: number[] = [];
+    private index: KDTree | null = null;
+    private neighbors: number;
+    private searchRadius: number;
+    private regularization: number;
+    private units: DistanceUnits;
+    private projection: LocalProjection | null;
+    private anisotropyAngle: number;
+    private anisotropyRatio: number;
+    private samples: DataPoint[];
+    private lagOptions: ExperimentalVariogramOptions;
+    private transform: DataTransform | null;
 
     constructor(data: DataPoint[], params: KrigingParams = {}) {
-        this.data = data;
+        // Tous les calculs se font sur les valeurs transformées
+        this.transform = params.transform ?? null;
+        const values = this.transform
+            ? data.map(p => ({ ...p, h2: this.transform!.forward(p.h2) }))
+            : data;
+
+        // Les données sont conservées en coordonnées projetées (x dans lon, y dans lat)
+        this.units = params.units ?? 'km';
+        this.projection = createProjection(values, this.units);
+        const planar = this.projection ? this.projection.projectPoints(values) : values;
+
+        // Anisotropie : tous les calculs se font dans l'espace isotrope
+        this.anisotropyAngle = params.anisotropyAngle ?? 0;
+        this.anisotropyRatio = params.anisotropyRatio ?? 1;
+        if (!(this.anisotropyRatio > 0 && this.anisotropyRatio <= 1)) {
+            throw new Error('Anisotropy ratio must be in (0, 1]');
+        }
+        this.data = this.isAnisotropic()
+            ? planar.map(p => {
+                const { x, y } = toIsotropic(p.lon, p.lat, this.anisotropyAngle, this.anisotropyRatio);
+                return { ...p, lon: x, lat: y };
+            })
+            : planar;
 
         // Paramètres du variogramme
         this.model = params.model || 'exponential';
-        this.nugget = params.nugget || 0;
+        this.nugget = params.nugget ?? 0;
         this.sill = params.sill ?? null as any;
         this.range = params.range ?? null as any;
 
-        // Calculer automatiquement les paramètres si non fournis
+        // Type de Kriging
+        this.type = params.type || 'simple';
+        this.drift = params.drift || 'linear';
+        this.normalizeCoordinates();
+
+        // Voisinage glissant (global si aucun critère n'est donné)
+        this.neighbors = params.neighbors ?? Infinity;
+        this.searchRadius = params.searchRadius ?? Infinity;
+
+        // Régularisation : un effet de pépite sur la seule diagonale, qui rend
+        // inversible un système où des échantillons coïncident. Appliquée par
+        // défaut dans ce cas, pour les appelants qui ne fusionnent pas les doublons
+        this.regularization = params.regularization ?? (this.hasCoincidentSamples() ? DEFAULT_REGULARIZATION : 0);
+        if (!(this.regularization >= 0)) {
+            throw new Error('The regularization must be non-negative');
+        }
+
+        // Variogramme expérimental (toujours calculé, utile pour l'affichage).
+        // En Kriging universel il est calculé sur les résidus de la tendance.
+        const residuals = this.type === 'universal' ? this.detrend() : this.data;
+        this.lagOptions = { lagCount: params.lagCount, lagWidth: params.lagWidth };
+        this.bins = experimentalVariogram(residuals, this.lagOptions, (p1, p2) => this.distance(p1, p2));
+
+        // Échantillons en coordonnées planes, pour l'analyse directionnelle
+        this.samples = planar.map((p, i) => ({ ...p, h2: residuals[i].h2 }));
+
+        // Ajuster automatiquement les paramètres si non fournis
         if (this.sill === null || this.range === null) {
-            this.fitVariogram();
+            this.fitVariogram(params.nugget);
         }
 
-        this.prepareMatrices();
+        if (this.isLocal()) {
+            this.index = new KDTree(this.data);
+        } else {
+            this.prepareMatrices();
+        }
     }
 
     /**
      * Interpole la valeur à un point donné
+     * (NaN si le voisinage est vide)
      */
     public interpolate(lon: number, lat: number): number {
-        const n = this.data.length;
-
-        if (!this.M) {
-            throw new Error('Matrix not initialized');
+        const solution = this.solve(lon, lat);
+        if (!solution) {
+            return NaN;
         }
-
-        // Vecteur de covariance entre le point cible et les données
-        const k: number[] = Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            const h = this.distance({ lon, lat }, this.data[i]);
-            k[i] = this.sill - this.variogram(h);
+        if (this.transform) {
+            return this.transform.expectation(this.transformedEstimate(solution), this.transformedVariance(solution));
         }
+        return this.estimate(solution);
+    }
 
-        // Calculer les poids λ = M * k
-        const weights: number[] = Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                weights[i] += this.M[i][j] * k[j];
-            }
+    /**
+     * Calcule la variance de kriging (incertitude), ramenée aux unités des
+     * données en cas de transformation
+     */
+    public variance(lon: number, lat: number): number {
+        const solution = this.solve(lon, lat);
+        if (!solution) {
+            return NaN;
         }
-
-        // Valeur interpolée = Σ(λᵢ * zᵢ)
-        let value = 0;
-        for (let i = 0; i < n; i++) {
-            value += weights[i] * this.data[i].h2;
+        if (this.transform) {
+            return this.transform.variance(this.transformedEstimate(solution), this.transformedVariance(solution));
         }
-
-        return value;
+        return this.krigingVariance(solution);
     }
 
     /**
-     * Calcule la variance de kriging (incertitude)
+     * Probabilité que la valeur dépasse un seuil (en unités des données),
+     * en supposant l'erreur gaussienne dans l'espace du Kriging (transformé
+     * le cas échéant) : P(Z > s) = 1 - Φ((f(s) - y*) / σ), avec la même
+     * loi N(y*, σ²) que l'estimation ramenée aux unités des données
      */
-    public variance(lon: number, lat: number): number {
-        const n = this.data.length;
-
-        if (!this.M) {
-            throw new Error('Matrix not initialized');
+    public exceedanceProbability(lon: number, lat: number, threshold: number): number {
+        const solution = this.solve(lon, lat);
+        if (!solution) {
+            return NaN;
         }
-
-        // Vecteur de covariance
-        const k: number[] = Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            const h = this.distance({ lon, lat }, this.data[i]);
-            k[i] = this.sill - this.variogram(h);
+        const level = this.transform ? this.transform.forward(threshold) : threshold;
+        const mean = this.transform ? this.transformedEstimate(solution) : this.estimate(solution);
+        const sd = Math.sqrt(this.transform ? this.transformedVariance(solution) : this.krigingVariance(solution));
+        if (!(sd > 0)) {
+            return mean > level ? 1 : 0;
         }
+        return 1 - normalCDF((level - mean) / sd);
+    }
 
-        // Poids
-        const weights: number[] = Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                weights[i] += this.M[i][j] * k[j];
-            }
-        }
+    /**
+     * Retourne les poids de Kriging λᵢ des données pour un point cible
+     */
+    public weights(lon: number, lat: number): number[] {
+        const weights: number[] = Array(this.data.length).fill(0);
+        const solution = this.solve(lon, lat);
+        solution?.indices.forEach((i, k) => {
+            weights[i] = solution.weights[k];
+        });
+        return weights;
+    }
 
-        // Variance = sill - Σ(λᵢ * kᵢ)
-        let variance = this.sill;
-        for (let i = 0; i < n; i++) {
-            variance -= weights[i] * k[i];
-        }
+    /**
+     * Indique si le Kriging utilise un voisinage glissant
+     */
+    public isLocal(): boolean {
+        return isFinite(this.neighbors) || isFinite(this.searchRadius);
+    }
 
-        return Math.max(0, variance); // Éviter les valeurs négatives dues aux erreurs numériques
+    /**
+     * Retourne le type de Kriging et la dérive utilisée
+     */
+    public getType(): { type: KrigingType; drift: DriftOrder | null } {
+        return {
+            type: this.type,
+            drift: this.type === 'universal' ? this.drift : null
+        };
     }
 
     /**
@@ -123,12 +260,105 @@ class Kriging implements Interpolator {
             model: this.model,
             nugget: this.nugget,
             sill: this.sill,
-            range: this.range
+            range: this.range,
+            units: this.units,
+            anisotropyAngle: this.anisotropyAngle,
+            anisotropyRatio: this.anisotropyRatio
         };
     }
 
+    /**
+     * Retourne le variogramme expérimental (classes de distance)
+     */
+    public getExperimentalVariogram(): VariogramBin[] {
+        return this.bins;
+    }
+
+    /**
+     * Variogrammes expérimentaux par secteurs angulaires
+     * (azimuts en degrés depuis le nord, 0/45/90/135 par défaut)
+     */
+    public getDirectionalVariograms(directions?: number[], tolerance?: number): DirectionalVariogram[] {
+        return directionalVariograms(this.samples, { ...this.lagOptions, directions, tolerance });
+    }
+
+    /**
+     * Carte variographique : semi-variance selon le vecteur de séparation
+     */
+    public getVariogramMap(): VariogramMap {
+        return variogramMap(this.samples, this.lagOptions);
+    }
+
+    /**
+     * Valeur interpolée = Σ(λᵢ * zᵢ)
+     */
+    private estimate(solution: KrigingSolution): number {
+        const { indices, weights } = solution;
+        let value = 0;
+        for (let k = 0; k < indices.length; k++) {
+            value += weights[k] * this.data[indices[k]].h2;
+        }
+        return value;
+    }
+
+    /**
+     * Variance = sill - Σ(λᵢ * kᵢ) - Σ(μₗ * fₗ)
+     */
+    private krigingVariance(solution: KrigingSolution): number {
+        const { weights, rhs } = solution;
+        let variance = this.sill;
+        for (let i = 0; i < rhs.length; i++) {
+            variance -= weights[i] * rhs[i];
+        }
+        return Math.max(0, variance); // Éviter les valeurs négatives dues aux erreurs numériques
+    }
+
+    /**
+     * Estimation dans l'espace transformé. En Kriging lognormal ordinaire ou
+     * universel (log, ou Box-Cox λ = 0), elle est corrigée du multiplicateur
+     * de Lagrange de la constante ; cette correction n'a pas d'équivalent
+     * pour les autres transformations
+     */
+    private transformedEstimate(solution: KrigingSolution): number {
+        const value = this.estimate(solution);
+        if (this.isLognormal()) {
+            return value + solution.weights[solution.indices.length];
+        }
+        return value;
+    }
+
+    /**
+     * Variance de la loi gaussienne N(y*, σ²) utilisée pour revenir aux
+     * unités des données : la variance de Kriging en lognormal (avec la
+     * correction μ) ou en Kriging simple, sinon la variance sous la forme du
+     * Kriging simple, σ² = sill - Σ(λᵢ * kᵢ), sans les termes de Lagrange
+     */
+    private transformedVariance(solution: KrigingSolution): number {
+        if (this.type === 'simple' || this.isLognormal()) {
+            return this.krigingVariance(solution);
+        }
+        const { weights, rhs, indices } = solution;
+        let variance = this.sill;
+        for (let i = 0; i < indices.length; i++) {
+            variance -= weights[i] * rhs[i];
+        }
+        return Math.max(0, variance);
+    }
+
+    /**
+     * Kriging lognormal ordinaire ou universel
+     */
+    private isLognormal(): boolean {
+        const transform = this.transform;
+        if (this.type === 'simple' || !transform) {
+            return false;
+        }
+        return transform.type === 'log' || (transform instanceof BoxCoxTransform && transform.lambda === 0);
+    }
+
     /**
      * Calcule la distance euclidienne entre deux points
+     * (en coordonnées projetées, ou en degrés bruts)
      */
     private distance(p1: { lon: number; lat: number }, p2: { lon: number; lat: number }): number {
         return Math.sqrt(
@@ -142,90 +372,251 @@ class Kriging implements Interpolator {
      * Le variogramme décrit comment la corrélation diminue avec la distance
      */
     private variogram(h: number): number {
-        if (h === 0) return 0;
+        return variogramValue(this.model, this.nugget, this.sill, this.range, h);
+    }
+
+    /**
+     * Ajuste les paramètres du variogramme par moindres carrés pondérés
+     * sur le variogramme expérimental. Les paramètres fournis par
+     * l'utilisateur restent fixes.
+     */
+    private fitVariogram(fixedNugget?: number): void {
+        const fitted = fitVariogramModel(this.bins, this.model, {
+            nugget: fixedNugget,
+            sill: this.sill,
+            range: this.range
+        });
 
-        const { nugget, sill, range } = this;
-        const c = sill - nugget; // Contribution spatiale
+        this.nugget = fitted.nugget;
+        this.sill = fitted.sill;
+        this.range = fitted.range;
+    }
 
-        switch (this.model) {
-            case 'exponential':
-                // Diminution exponentielle
-                return nugget + c * (1 - Math.exp(-3 * h / range));
+    /**
+     * Résout le système de Kriging pour un point cible.
+     * Retourne les indices des données utilisées, les poids λ (suivis des
+     * multiplicateurs de Lagrange μ) et le second membre [k ; f].
+     */
+    private solve(lon: number, lat: number): KrigingSolution | null {
+        if (this.projection) {
+            ({ x: lon, y: lat } = this.projection.forward(lon, lat));
+        }
+        if (this.isAnisotropic()) {
+            ({ x: lon, y: lat } = toIsotropic(lon, lat, this.anisotropyAngle, this.anisotropyRatio));
+        }
+        if (this.index) {
+            return this.solveLocal(lon, lat);
+        }
 
-            case 'gaussian':
-                // Diminution gaussienne (très lisse)
-                return nugget + c * (1 - Math.exp(-3 * Math.pow(h / range, 2)));
+        const n = this.data.length;
 
-            case 'spherical':
-                // Modèle sphérique (classique en géologie)
-                if (h >= range) {
-                    return sill;
-                }
-                return nugget + c * (1.5 * h / range - 0.5 * Math.pow(h / range, 3));
+        if (!this.M) {
+            throw new Error('Matrix not initialized');
+        }
 
-            default:
-                return nugget + c * (1 - Math.exp(-3 * h / range));
+        // Second membre : covariances avec les données puis fonctions de dérive
+        const rhs: number[] = [];
+        for (let i = 0; i < n; i++) {
+            const h = this.distance({ lon, lat }, this.data[i]);
+            rhs.push(this.covariance(h));
+        }
+        rhs.push(...this.driftTerms(lon, lat));
+
+        // Calculer les poids [λ ; μ] = M * [k ; f]
+        const size = rhs.length;
+        const weights: number[] = Array(size).fill(0);
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                weights[i] += this.M[i][j] * rhs[j];
+            }
         }
+
+        return { indices: this.allIndices, weights, rhs };
     }
 
     /**
-     * Estime automatiquement les paramètres du variogramme
+     * Résout le système réduit au voisinage du point cible : Cholesky en
+     * Kriging simple (matrice de covariance définie positive), LU sinon.
+     * Retourne null si le voisinage ne suffit pas aux contraintes de dérive
+     * ou si son système est singulier (échantillons confondus ou alignés) :
+     * seule la cellule est alors sans valeur, pas toute la surface.
      */
-    private fitVariogram(): void {
-        const n = this.data.length;
-        const distances: number[] = [];
-        const variances: number[] = [];
+    private solveLocal(lon: number, lat: number): KrigingSolution | null {
+        const found = this.index!.nearest(lon, lat, this.neighbors, this.searchRadius);
+        const target = this.driftTerms(lon, lat);
+        const m = found.length;
+        const p = target.length;
+        if (m === 0 || m < p) {
+            return null;
+        }
 
-        // Calculer les distances et semi-variances empiriques
-        for (let i = 0; i < n; i++) {
-            for (let j = i + 1; j < n; j++) {
-                const d = this.distance(this.data[i], this.data[j]);
-                const gamma = 0.5 * Math.pow(this.data[i].h2 - this.data[j].h2, 2);
-                distances.push(d);
-                variances.push(gamma);
+        const size = m + p;
+        const A = new Float64Array(size * size);
+        const rhs = new Float64Array(size);
+        const indices = found.map(neighbor => neighbor.index);
+
+        for (let a = 0; a < m; a++) {
+            const pa = this.data[indices[a]];
+            for (let b = a; b < m; b++) {
+                const c = this.covariance(this.distance(pa, this.data[indices[b]])) + (a === b ? this.ridge() : 0);
+                A[a * size + b] = c;
+                A[b * size + a] = c;
             }
+            const f = this.driftTerms(pa.lon, pa.lat);
+            for (let l = 0; l < p; l++) {
+                A[a * size + m + l] = f[l];
+                A[(m + l) * size + a] = f[l];
+            }
+            rhs[a] = this.covariance(this.distance({ lon, lat }, pa));
+        }
+        rhs.set(target, m);
+
+        const weights = rhs.slice();
+        try {
+            if (p === 0) {
+                choleskySolve(A, weights, size);
+            } else {
+                luSolve(A, weights, size);
+            }
+        } catch {
+            return null;
+        }
+
+        return { indices, weights, rhs };
+    }
+
+    private hasCoincidentSamples(): boolean {
+        const locations = new Set(this.data.map(d => `${d.lon},${d.lat}`));
+        return locations.size < this.data.length;
+    }
+
+    private isAnisotropic(): boolean {
+        return this.anisotropyRatio !== 1;
+    }
+
+    /**
+     * Fonctions de dérive évaluées en un point (coordonnées normalisées)
+     */
+    private driftTerms(lon: number, lat: number): number[] {
+        if (this.type === 'simple') {
+            return [];
+        }
+        if (this.type === 'ordinary') {
+            return [1];
         }
 
-        // Estimer le palier (sill) comme la variance des données
-        const values = this.data.map(d => d.h2);
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+        const x = (lon - this.center.lon) / this.scale;
+        const y = (lat - this.center.lat) / this.scale;
+        if (this.drift === 'quadratic') {
+            return [1, x, y, x * x, x * y, y * y];
+        }
+        return [1, x, y];
+    }
 
-        this.sill = variance * 1.2; // Un peu plus que la variance
+    /**
+     * Centre et met à l'échelle les coordonnées pour le calcul de la dérive
+     * (évite un système mal conditionné)
+     */
+    private normalizeCoordinates(): void {
+        const lons = this.data.map(d => d.lon);
+        const lats = this.data.map(d => d.lat);
+        const minLon = Math.min(...lons);
+        const maxLon = Math.max(...lons);
+        const minLat = Math.min(...lats);
+        const maxLat = Math.max(...lats);
+
+        this.center = { lon: (minLon + maxLon) / 2, lat: (minLat + maxLat) / 2 };
+        this.scale = Math.max(maxLon - minLon, maxLat - minLat) / 2 || 1;
+    }
 
-        // Estimer la portée (range) comme une fraction de la distance maximale
-        const maxDist = Math.max(...distances);
-        this.range = maxDist * 0.3; // 30% de la distance max
+    /**
+     * Retire la tendance ajustée par moindres carrés ordinaires
+     * et retourne les résidus
+     */
+    private detrend(): DataPoint[] {
+        const F = this.data.map(d => this.driftTerms(d.lon, d.lat));
+        const p = F[0]?.length ?? 0;
+
+        // Équations normales (FᵀF) β = Fᵀz
+        const FtF: number[][] = Array(p).fill(0).map(() => Array(p).fill(0));
+        const Ftz: number[] = Array(p).fill(0);
+        for (let i = 0; i < this.data.length; i++) {
+            for (let a = 0; a < p; a++) {
+                Ftz[a] += F[i][a] * this.data[i].h2;
+                for (let b = 0; b < p; b++) {
+                    FtF[a][b] += F[i][a] * F[i][b];
+                }
+            }
+        }
 
-        // Nugget par défaut faible
-        if (this.nugget === 0) {
-            this.nugget = this.sill * 0.05; // 5% du sill
+        let inverse: number[][];
+        try {
+            inverse = this.invertMatrix(FtF);
+        } catch {
+            throw new Error('Cannot fit the drift: the samples are collinear or too few for the drift order');
         }
+        const beta = inverse.map(row => row.reduce((sum, v, b) => sum + v * Ftz[b], 0));
+
+        return this.data.map((d, i) => ({
+            ...d,
+            h2: d.h2 - F[i].reduce((sum, f, a) => sum + f * beta[a], 0)
+        }));
     }
 
     /**
      * Prépare les matrices pour le système de Kriging
+     *
+     *   | K   F |
+     *   | Fᵀ  0 |
+     *
+     * où F contient les fonctions de dérive aux points de données
+     * (vide pour le Kriging simple).
      */
     private prepareMatrices(): void {
         const n = this.data.length;
+        const F = this.data.map(d => this.driftTerms(d.lon, d.lat));
+        const p = F[0]?.length ?? 0;
+        this.allIndices = this.data.map((_, i) => i);
 
-        // Matrice de covariance K (n x n)
-        this.K = Array(n).fill(0).map(() => Array(n).fill(0));
+        // Matrice du système (n + p) x (n + p)
+        this.K = Array(n + p).fill(0).map(() => Array(n + p).fill(0));
 
         for (let i = 0; i < n; i++) {
             for (let j = 0; j < n; j++) {
                 const h = this.distance(this.data[i], this.data[j]);
-                // Covariance = Sill - Variogramme
-                this.K[i][j] = this.sill - this.variogram(h);
+                this.K[i][j] = this.covariance(h) + (i === j ? this.ridge() : 0);
+            }
+            for (let l = 0; l < p; l++) {
+                this.K[i][n + l] = F[i][l];
+                this.K[n + l][i] = F[i][l];
             }
         }
 
         // Inverser la matrice K (utilisant l'élimination de Gauss)
-        this.M = this.invertMatrix(this.K);
+        try {
+            this.M = this.invertMatrix(this.K);
+        } catch {
+            throw new Error('Singular kriging system: duplicate or collinear samples (merge duplicates or set a regularization)');
+        }
+    }
+
+    /**
+     * Covariance = Palier - Variogramme
+     */
+    private covariance(h: number): number {
+        return this.sill - this.variogram(h);
+    }
+
+    /**
+     * Terme ajouté à la diagonale du système
+     */
+    private ridge(): number {
+        return this.regularization * this.sill;
     }
 
     /**
-     * Inverse une matrice (méthode de Gauss-Jordan)
+     * Inverse une matrice (méthode de Gauss-Jordan), erreur si un pivot
+     * est nul : une matrice singulière n'a pas d'inverse utilisable
      */
     private invertMatrix(matrix: number[][]): number[][] {
         const n = matrix.length;
@@ -252,8 +643,7 @@ class Kriging implements Interpolator {
             // Normaliser la ligne pivot
             const pivot = augmented[i][i];
             if (Math.abs(pivot) < 1e-10) {
-                console.warn('Matrice singulière détectée');
-                continue;
+                throw new Error('Singular matrix');
             }
 
             for (let j = 0; j < 2 * n; j++) {
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { choleskySolve, luSolve } from './linalg';
+
+function multiply(A: number[], x: ArrayLike<number>, n: number): number[] {
+    return Array.from({ length: n }, (_, i) => {
+        let sum = 0;
+        for (let k = 0; k < n; k++) sum += A[i * n + k] * x[k];
+        return sum;
+    });
+}
+
+describe('choleskySolve', () => {
+    it('solves a symmetric positive definite system', () => {
+        const A = [4, 2, 0.4, 2, 5, 1, 0.4, 1, 3];
+        const b = [1, 2, 3];
+        const x = choleskySolve(Float64Array.from(A), Float64Array.from(b), 3);
+        multiply(A, x, 3).forEach((value, i) => expect(value).toBeCloseTo(b[i], 12));
+    });
+
+    it('rejects a singular covariance matrix (coincident samples)', () => {
+        const A = Float64Array.from([1, 1, 1, 1]);
+        expect(() => choleskySolve(A, Float64Array.from([1, 2]), 2)).toThrow('Matrix is not positive definite');
+    });
+});
+
+describe('luSolve', () => {
+    it('solves a system bordered by a constraint, which needs pivoting', () => {
+        // Ordinary Kriging shape: covariances bordered by the unbiasedness constraint
+        const A = [1, 0.5, 1, 0.5, 1, 1, 1, 1, 0];
+        const b = [0.8, 0.6, 1];
+        const x = luSolve(Float64Array.from(A), Float64Array.from(b), 3);
+        multiply(A, x, 3).forEach((value, i) => expect(value).toBeCloseTo(b[i], 12));
+        expect(x[0] + x[1]).toBeCloseTo(1, 12);
+    });
+
+    it('throws on a singular matrix', () => {
+        const A = Float64Array.from([1, 2, 2, 4]);
+        expect(() => luSolve(A, Float64Array.from([1, 1]), 2)).toThrow('Matrix is singular');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Dense linear solvers on row-major Float64Array matrices
+ *
+ * Used for the small systems of local Kriging: Cholesky for symmetric
+ * positive definite covariance matrices, LU with partial pivoting for the
+ * indefinite systems bordered by drift constraints.
+ */
+
+const SINGULAR_TOLERANCE = 1e-12;
+
+/**
+ * Solve A x = b for symmetric positive definite A (n x n).
+ * A is overwritten by its Cholesky factor, b by the solution.
+ */
+export function choleskySolve(A: Float64Array, b: Float64Array, n: number): Float64Array {
+    // A = L Lᵀ, L stored in the lower triangle
+    for (let j = 0; j < n; j++) {
+        let diagonal = A[j * n + j];
+        for (let k = 0; k < j; k++) {
+            diagonal -= A[j * n + k] * A[j * n + k];
+        }
+        if (diagonal <= SINGULAR_TOLERANCE * Math.abs(A[j * n + j])) {
+            throw new Error('Matrix is not positive definite');
+        }
+        const ljj = Math.sqrt(diagonal);
+        A[j * n + j] = ljj;
+
+        for (let i = j + 1; i < n; i++) {
+            let sum = A[i * n + j];
+            for (let k = 0; k < j; k++) {
+                sum -= A[i * n + k] * A[j * n + k];
+            }
+            A[i * n + j] = sum / ljj;
+        }
+    }
+
+    // L y = b, then Lᵀ x = y
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) {
+            sum -= A[i * n + k] * b[k];
+        }
+        b[i] = sum / A[i * n + i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let k = i + 1; k < n; k++) {
+            sum -= A[k * n + i] * b[k];
+        }
+        b[i] = sum / A[i * n + i];
+    }
+
+    return b;
+}
+
+/**
+ * Solve A x = b for a general square A (n x n) by LU decomposition with
+ * partial pivoting. A is overwritten by its factors, b by the solution.
+ */
+export function luSolve(A: Float64Array, b: Float64Array, n: number): Float64Array {
+    let scale = 0;
+    for (let k = 0; k < n * n; k++) {
+        scale = Math.max(scale, Math.abs(A[k]));
+    }
+
+    for (let j = 0; j < n; j++) {
+        // Pivot: largest remaining entry of the column
+        let pivotRow = j;
+        for (let i = j + 1; i < n; i++) {
+            if (Math.abs(A[i * n + j]) > Math.abs(A[pivotRow * n + j])) {
+                pivotRow = i;
+            }
+        }
+        const pivot = A[pivotRow * n + j];
+        if (Math.abs(pivot) <= SINGULAR_TOLERANCE * scale) {
+            throw new Error('Matrix is singular');
+        }
+
+        if (pivotRow !== j) {
+            for (let k = 0; k < n; k++) {
+                const swap = A[j * n + k];
+                A[j * n + k] = A[pivotRow * n + k];
+                A[pivotRow * n + k] = swap;
+            }
+            const swap = b[j];
+            b[j] = b[pivotRow];
+            b[pivotRow] = swap;
+        }
+
+        // Eliminate below the pivot, applying the same operations to b
+        for (let i = j + 1; i < n; i++) {
+            const factor = A[i * n + j] / pivot;
+            if (factor === 0) continue;
+            A[i * n + j] = factor;
+            for (let k = j + 1; k < n; k++) {
+                A[i * n + k] -= factor * A[j * n + k];
+            }
+            b[i] -= factor * b[j];
+        }
+    }
+
+    // Back substitution U x = y
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let k = i + 1; k < n; k++) {
+            sum -= A[i * n + k] * b[k];
+        }
+        b[i] = sum / A[i * n + i];
+    }
+
+    return b;
+}
@@ -0,0 +1,161 @@
+/**
+ * Mask - Cells left out of the interpolated surface
+ *
+ * Interpolators give a value anywhere, including corners of the grid far
+ * from any sample. A mask sets to NaN the cells that are:
+ *
+ * - outside the convex hull of the samples ('hull'), or farther than a
+ *   distance from it ('buffer')
+ * - outside user-supplied polygons such as a lease boundary ('polygon')
+ * - farther than `maxDistance` from every sample
+ * - above a Kriging variance threshold (`maxVariance`)
+ *
+ * Distances are measured in the local projection of the samples, in the
+ * distance units of the interpolation parameters. Polygons are tested in
+ * lon/lat, like GeoJSON coordinates.
+ */
+
+import Kriging from './kriging';
+import { DataPoint, Interpolator, InterpolationParams, PolygonRings } from './interpolation.types';
+import { createProjection } from './projection';
+import { KDTree } from './kdtree';
+
+/**
+ * True where the surface is kept
+ */
+export type CellMask = (lon: number, lat: number) => boolean;
+
+/**
+ * Mask described by the clipping parameters, null when nothing is masked
+ */
+export function createMask(data: DataPoint[], interpolator: Interpolator, params: InterpolationParams = {}): CellMask | null {
+    const projection = createProjection(data, params.units);
+    const toPlanar = (lon: number, lat: number) => projection ? projection.forward(lon, lat) : { x: lon, y: lat };
+    const planar = data.map(point => toPlanar(point.lon, point.lat));
+    const tests: CellMask[] = [];
+
+    const clip = params.clip ?? 'none';
+    if (clip === 'hull' || clip === 'buffer') {
+        const hull = convexHull(planar.map(({ x, y }) => [x, y] as [number, number]));
+        const buffer = clip === 'buffer' ? params.clipBuffer ?? 0 : 0;
+        if (!(buffer >= 0)) {
+            throw new Error('The clip buffer must be a non-negative distance');
+        }
+        if (hull.length < 3 && buffer === 0) {
+            throw new Error('The convex hull needs at least 3 non-collinear samples');
+        }
+        tests.push((lon, lat) => {
+            const { x, y } = toPlanar(lon, lat);
+            return (hull.length >= 3 && insideConvex(hull, x, y)) || (buffer > 0 && distanceToRing(hull, x, y) <= buffer);
+        });
+    } else if (clip === 'polygon') {
+        const polygons = params.clipPolygons;
+        if (!polygons || polygons.length === 0) {
+            throw new Error('Polygon clipping requires a boundary');
+        }
+        tests.push((lon, lat) => polygons.some(rings => insidePolygon(rings, lon, lat)));
+    }
+
+    if (params.maxDistance != null) {
+        const maxDistance = params.maxDistance;
+        if (!(maxDistance > 0)) {
+            throw new Error('The maximum distance must be positive');
+        }
+        const tree = new KDTree(planar.map(({ x, y }) => ({ lon: x, lat: y })));
+        tests.push((lon, lat) => {
+            const { x, y } = toPlanar(lon, lat);
+            return tree.nearest(x, y, 1, maxDistance).length > 0;
+        });
+    }
+
+    // Last, being the most expensive test
+    if (params.maxVariance != null) {
+        const maxVariance = params.maxVariance;
+        if (!(interpolator instanceof Kriging)) {
+            throw new Error('A variance threshold requires the kriging algorithm');
+        }
+        tests.push((lon, lat) => interpolator.variance(lon, lat) <= maxVariance);
+    }
+
+    if (tests.length === 0) {
+        return null;
+    }
+    return (lon, lat) => tests.every(test => test(lon, lat));
+}
+
+/**
+ * Convex hull (Andrew's monotone chain), counterclockwise, without
+ * collinear points or a repeated first point
+ */
+export function convexHull(points: [number, number][]): [number, number][] {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o: [number, number], a: [number, number], b: [number, number]) =>
+        (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+    const lower: [number, number][] = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper: [number, number][] = [];
+    for (let k = sorted.length - 1; k >= 0; k--) {
+        const p = sorted[k];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+
+    lower.pop();
+    upper.pop();
+    const hull = lower.concat(upper);
+    // All points coincident: a single vertex
+    return hull.length === 0 && sorted.length > 0 ? [sorted[0]] : hull;
+}
+
+/**
+ * Even-odd test over the rings of a polygon, so that inner rings are holes
+ */
+export function insidePolygon(rings: PolygonRings, lon: number, lat: number): boolean {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < xj + (lat - yj) / (yi - yj) * (xi - xj)) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Inside or on a counterclockwise convex polygon
+ */
+function insideConvex(hull: [number, number][], x: number, y: number): boolean {
+    for (let i = 0, j = hull.length - 1; i < hull.length; j = i++) {
+        const [ax, ay] = hull[j];
+        const [bx, by] = hull[i];
+        if ((bx - ax) * (y - ay) - (by - ay) * (x - ax) < 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Distance to the edges of a closed ring (a point or a segment for one or
+ * two vertices)
+ */
+function distanceToRing(ring: [number, number][], x: number, y: number): number {
+    let best = Infinity;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [ax, ay] = ring[j];
+        const [bx, by] = ring[i];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const length2 = dx * dx + dy * dy;
+        const t = length2 > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / length2)) : 0;
+        best = Math.min(best, Math.hypot(x - ax - t * dx, y - ay - t * dy));
+    }
+    return best;
+}
@@ -0,0 +1,151 @@
+/**
+ * Natural neighbor interpolation (Sibson)
+ *
+ * Inserting the target location into the Voronoi diagram of the samples
+ * creates a new cell that takes area from the cells of its natural
+ * neighbors; each neighbor is weighted by the fraction of the new cell it
+ * gives up. The estimate reproduces linear fields, passes through the
+ * samples and is only defined inside their convex hull.
+ *
+ * The new cell is read from the Delaunay triangulation: its vertices are
+ * the circumcenters of the triangles that the location would form with
+ * the boundary edges of its cavity. The share of each natural neighbor is
+ * the part of that cell closer to it than to the other neighbors.
+ */
+
+import { DataPoint, DistanceUnits, WeightedInterpolator } from './interpolation.types';
+import { Delaunay, circumcircle, orient } from './delaunay';
+import { planarSamples, expandWeights } from './planar';
+
+type Polygon = { x: number; y: number }[];
+
+const COINCIDENT_TOLERANCE = 1e-12;
+
+export function createNaturalNeighborInterpolator(points: DataPoint[], units: DistanceUnits = 'km'): WeightedInterpolator {
+    const samples = planarSamples(points, units);
+    const triangulation = new Delaunay(samples.points);
+
+    const neighborWeights = (lon: number, lat: number): Map<number, number> | null => {
+        const { x, y } = samples.toPlanar(lon, lat);
+        return sibsonWeights(triangulation, x, y);
+    };
+
+    return {
+        interpolate: (lon: number, lat: number) => {
+            const weights = neighborWeights(lon, lat);
+            if (!weights) return NaN;
+
+            let value = 0;
+            for (const [vertex, weight] of weights) {
+                value += weight * samples.points[vertex].h2;
+            }
+            return value;
+        },
+        weights: (lon: number, lat: number) => expandWeights(samples, neighborWeights(lon, lat) ?? new Map(), points.length)
+    };
+}
+
+/**
+ * Sibson coordinates of a location with respect to the vertices of a
+ * triangulation, null outside the convex hull
+ */
+export function sibsonWeights(triangulation: Delaunay, x: number, y: number): Map<number, number> | null {
+    const t = triangulation.find(x, y);
+    if (t === -1) return null;
+
+    // On a sample, or on a hull edge where the new cell would be unbounded:
+    // Sibson coordinates reduce to the barycentric ones there
+    const corners = triangulation.vertices(t);
+    const barycentric = triangulation.barycentric(t, x, y);
+    const onVertex = barycentric.some(w => w >= 1 - COINCIDENT_TOLERANCE);
+    const onHull = barycentric.some((w, k) =>
+        w <= COINCIDENT_TOLERANCE && triangulation.neighbors[3 * t + (k + 1) % 3] === -1
+    );
+    if (onVertex || onHull) {
+        return new Map(corners.map((vertex, k) => [vertex, barycentric[k]]));
+    }
+
+    // Boundary of the cavity, as a counter-clockwise chain of vertices
+    const cavity = triangulation.cavity(x, y);
+    const inCavity = new Set(cavity);
+    const next = new Map<number, number>();
+    for (const u of cavity) {
+        for (let k = 0; k < 3; k++) {
+            const across = triangulation.neighbors[3 * u + k];
+            if (across !== -1 && inCavity.has(across)) continue;
+            next.set(triangulation.triangles[3 * u + k], triangulation.triangles[3 * u + (k + 1) % 3]);
+        }
+    }
+
+    // Coordinates relative to the location keep the circumcenters accurate
+    const xs = triangulation.xs;
+    const ys = triangulation.ys;
+    const neighbors: number[] = [];
+    const cell: Polygon = [];
+    const first = next.keys().next().value as number;
+    let a = first;
+    do {
+        const b = next.get(a)!;
+        const center = circumcircle(0, 0, xs[a] - x, ys[a] - y, xs[b] - x, ys[b] - y);
+        if (!isFinite(center.x) || !isFinite(center.y)) {
+            return new Map(corners.map((vertex, k) => [vertex, barycentric[k]]));
+        }
+        neighbors.push(a);
+        cell.push({ x: center.x, y: center.y });
+        a = b;
+    } while (a !== first && neighbors.length <= next.size);
+
+    // Part of the new cell closer to each neighbor than to the others
+    const areas = neighbors.map(i => {
+        let region = cell;
+        for (const j of neighbors) {
+            if (j === i || region.length === 0) continue;
+            region = clipCloserTo(region, xs[i] - x, ys[i] - y, xs[j] - x, ys[j] - y);
+        }
+        return polygonArea(region);
+    });
+
+    const total = areas.reduce((sum, area) => sum + area, 0);
+    if (!(total > 0)) {
+        return new Map(corners.map((vertex, k) => [vertex, barycentric[k]]));
+    }
+    return new Map(neighbors.map((vertex, k) => [vertex, areas[k] / total]));
+}
+
+/**
+ * Clip a convex polygon to the half-plane of points closer to p than to q
+ */
+function clipCloserTo(polygon: Polygon, px: number, py: number, qx: number, qy: number): Polygon {
+    // |z - p|² <= |z - q|²  <=>  (q - p) · z <= (|q|² - |p|²) / 2
+    const nx = qx - px;
+    const ny = qy - py;
+    const limit = (qx * qx + qy * qy - px * px - py * py) / 2;
+    const side = (z: { x: number; y: number }) => limit - (nx * z.x + ny * z.y);
+
+    const clipped: Polygon = [];
+    for (let k = 0; k < polygon.length; k++) {
+        const current = polygon[k];
+        const following = polygon[(k + 1) % polygon.length];
+        const s1 = side(current);
+        const s2 = side(following);
+        if (s1 >= 0) clipped.push(current);
+        if ((s1 >= 0) !== (s2 >= 0)) {
+            const t = s1 / (s1 - s2);
+            clipped.push({
+                x: current.x + t * (following.x - current.x),
+                y: current.y + t * (following.y - current.y)
+            });
+        }
+    }
+    return clipped;
+}
+
+function polygonArea(polygon: Polygon): number {
+    let twice = 0;
+    for (let k = 0; k < polygon.length; k++) {
+        const a = polygon[k];
+        const b = polygon[(k + 1) % polygon.length];
+        twice += orient(0, 0, a.x, a.y, b.x, b.y);
+    }
+    return Math.abs(twice) / 2;
+}
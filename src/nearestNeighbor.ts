@@ -0,0 +1,35 @@
+import { DataPoint, DistanceUnits, WeightedInterpolator } from './interpolation.types';
+import { KDTree } from './kdtree';
+import { planarSamples, expandWeights } from './planar';
+
+/**
+ * Nearest-neighbor interpolation: each location takes the value of the
+ * closest sample, which paints the Voronoi cells of the samples.
+ * Coincident samples share their mean value. Locations farther than
+ * `searchRadius` from every sample are NaN.
+ */
+export function createNearestNeighborInterpolator(
+    points: DataPoint[],
+    units: DistanceUnits = 'km',
+    searchRadius: number | null = null
+): WeightedInterpolator {
+    const samples = planarSamples(points, units);
+    const index = new KDTree(samples.points);
+
+    const nearest = (lon: number, lat: number): number | null => {
+        const { x, y } = samples.toPlanar(lon, lat);
+        const [found] = index.nearest(x, y, 1, searchRadius ?? Infinity);
+        return found ? found.index : null;
+    };
+
+    return {
+        interpolate: (lon: number, lat: number) => {
+            const k = nearest(lon, lat);
+            return k === null ? NaN : samples.points[k].h2;
+        },
+        weights: (lon: number, lat: number) => {
+            const k = nearest(lon, lat);
+            return expandWeights(samples, new Map(k === null ? [] : [[k, 1]]), points.length);
+        }
+    };
+}
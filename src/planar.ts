@@ -0,0 +1,60 @@
+/**
+ * Planar samples - Projected, deduplicated points for geometric interpolators
+ *
+ * Triangulation-based and spline interpolators need distinct locations:
+ * coincident samples are merged into one point carrying their mean value,
+ * and `members` keeps track of the input points behind each merged point.
+ */
+
+import { DataPoint, DistanceUnits } from './interpolation.types';
+import { createProjection } from './projection';
+
+export interface PlanarSamples {
+    points: DataPoint[];     // Projected locations (lon = x, lat = y), one per distinct location
+    members: number[][];     // Indices of the input points merged into each location
+    toPlanar(lon: number, lat: number): { x: number; y: number };
+}
+
+export function planarSamples(points: DataPoint[], units: DistanceUnits = 'km'): PlanarSamples {
+    const projection = createProjection(points, units);
+    const projected = projection ? projection.projectPoints(points) : points;
+
+    const merged: DataPoint[] = [];
+    const members: number[][] = [];
+    const byLocation = new Map<string, number>();
+    projected.forEach((point, i) => {
+        const key = `${point.lon},${point.lat}`;
+        const existing = byLocation.get(key);
+        if (existing === undefined) {
+            byLocation.set(key, merged.length);
+            merged.push({ ...point });
+            members.push([i]);
+        } else {
+            members[existing].push(i);
+        }
+    });
+
+    merged.forEach((point, k) => {
+        point.h2 = members[k].reduce((sum, i) => sum + projected[i].h2, 0) / members[k].length;
+    });
+
+    return {
+        points: merged,
+        members,
+        toPlanar: (lon: number, lat: number) => projection ? projection.forward(lon, lat) : { x: lon, y: lat }
+    };
+}
+
+/**
+ * Spread weights given to merged points back onto the input points
+ */
+export function expandWeights(samples: PlanarSamples, weights: Map<number, number>, count: number): number[] {
+    const expanded: number[] = Array(count).fill(0);
+    for (const [k, weight] of weights) {
+        const group = samples.members[k];
+        for (const i of group) {
+            expanded[i] = weight / group.length;
+        }
+    }
+    return expanded;
+}
@@ -0,0 +1,726 @@
+/**
+ * Print Export - Map layout for reports, written as PNG, SVG or PDF
+ *
+ * `composePrintMap` lays out a page in points (1/72 inch, origin at the top
+ * left): the interpolated surface in a frame with coordinate ticks, the
+ * samples, a north arrow and a scale bar, and a side panel with the color
+ * legend and a metadata block. The page is a list of simple drawing items
+ * that each writer translates:
+ *
+ * - PNG: drawn on a canvas sized for the chosen DPI
+ * - SVG and PDF: vector graphics, the surface being embedded as an image
+ *   of the grid cells (scaled without smoothing)
+ *
+ * The map is north-up, with longitudes scaled by cos(latitude) so that the
+ * scale bar holds across the map. Text uses Helvetica (the PDF base font)
+ * and is measured with its metrics in every format.
+ */
+
+import { Bounds, DataPoint, ValueGrid } from './interpolation.types';
+import { ColorMapper, RGB } from './ColorMapper';
+import { geoDistance, niceStep } from './projection';
+
+export type PrintFormat = 'png' | 'svg' | 'pdf';
+
+export type PageSize = 'a4-landscape' | 'a4-portrait' | 'letter-landscape' | 'letter-portrait';
+
+// Width and height in millimeters
+export const PAGE_SIZES: Record<PageSize, [number, number]> = {
+    'a4-landscape': [297, 210],
+    'a4-portrait': [210, 297],
+    'letter-landscape': [279.4, 215.9],
+    'letter-portrait': [215.9, 279.4]
+};
+
+export interface PrintMapOptions {
+    page?: PageSize;                  // Default A4 landscape
+    dpi?: number;                     // Resolution of the surface and of PNG output (default 300)
+    title?: string;
+    legendTitle?: string;             // Quantity and units, e.g. 'H2 (ppm)'
+    points?: DataPoint[];             // Samples drawn over the surface
+    metadata?: [string, string][];    // Label and value rows of the side panel
+}
+
+/**
+ * RGBA pixels, row 0 at the top
+ */
+export interface RasterImage {
+    width: number;
+    height: number;
+    data: Uint8ClampedArray;
+}
+
+export type PrintItem =
+    | { kind: 'rect'; x: number; y: number; width: number; height: number; fill: RGB | null; stroke: RGB | null; lineWidth: number }
+    | { kind: 'path'; points: [number, number][]; closed: boolean; fill: RGB | null; stroke: RGB | null; lineWidth: number }
+    | { kind: 'circle'; x: number; y: number; radius: number; fill: RGB | null; stroke: RGB | null; lineWidth: number }
+    | { kind: 'text'; x: number; y: number; text: string; size: number; align: 'left' | 'center' | 'right'; bold: boolean; color: RGB }
+    | { kind: 'image'; x: number; y: number; width: number; height: number; image: RasterImage };
+
+export interface PrintPage {
+    width: number;          // Points
+    height: number;
+    items: PrintItem[];
+}
+
+interface Frame {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+const POINTS_PER_MM = 72 / 25.4;
+const MARGIN = 36;
+const SIDEBAR_WIDTH = 150;
+const GAP = 20;
+const TITLE_SIZE = 16;
+const LABEL_SIZE = 8;
+const TICK_LENGTH = 4;
+const MAX_PRINT_CELLS = 600;     // Surface resolution cap, per side
+const PIXELS_PER_CELL = 2;       // Printed pixels per grid cell at the chosen DPI
+
+const BLACK: RGB = { r: 0, g: 0, b: 0 };
+const WHITE: RGB = { r: 255, g: 255, b: 255 };
+const GRAY: RGB = { r: 51, g: 51, b: 51 };
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+// Helvetica advance widths of the printable ASCII characters (1/1000 em)
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * Grid resolution giving about PIXELS_PER_CELL printed pixels per cell at
+ * the chosen DPI, capped at MAX_PRINT_CELLS
+ */
+export function printGridSize(bounds: Bounds, options: PrintMapOptions = {}): { width: number; height: number } {
+    const frame = mapFrame(bounds, options);
+    const cells = (points: number) => Math.max(1, Math.min(MAX_PRINT_CELLS,
+        Math.round(points / 72 * (options.dpi ?? 300) / PIXELS_PER_CELL)));
+    return { width: cells(frame.width), height: cells(frame.height) };
+}
+
+/**
+ * Lay out the map of a grid colored by a color mapper
+ */
+export function composePrintMap(grid: ValueGrid, colorMapper: ColorMapper, options: PrintMapOptions = {}): PrintPage {
+    const [pageWidth, pageHeight] = PAGE_SIZES[options.page ?? 'a4-landscape'].map(mm => mm * POINTS_PER_MM);
+    const items: PrintItem[] = [];
+    const frame = mapFrame(grid.bounds, options);
+
+    items.push(rect(0, 0, pageWidth, pageHeight, WHITE, null));
+    if (options.title) {
+        items.push(text(MARGIN, MARGIN + TITLE_SIZE, options.title, TITLE_SIZE, 'left', true));
+    }
+
+    items.push({ kind: 'image', ...frame, image: gridImage(grid, colorMapper) });
+    addSamples(items, frame, grid.bounds, colorMapper, options.points ?? []);
+    addTicks(items, frame, grid.bounds);
+    items.push(rect(frame.x, frame.y, frame.width, frame.height, null, BLACK, 0.75));
+    addNorthArrow(items, frame);
+    addScaleBar(items, frame, grid.bounds);
+
+    const sidebarX = frame.x + frame.width + GAP;
+    const legendBottom = addLegend(items, sidebarX, frame.y, Math.min(200, frame.height * 0.55), colorMapper, options.legendTitle ?? '');
+    addMetadata(items, sidebarX, legendBottom + 24, options.metadata ?? []);
+
+    return { width: pageWidth, height: pageHeight, items };
+}
+
+/**
+ * Draw a page on a canvas sized for the given resolution
+ */
+export function renderPrintCanvas(page: PrintPage, canvas: HTMLCanvasElement | OffscreenCanvas, dpi: number = 300): void {
+    const scale = dpi / 72;
+    canvas.width = Math.round(page.width * scale);
+    canvas.height = Math.round(page.height * scale);
+    const ctx = canvas.getContext('2d') as CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null;
+    if (!ctx) {
+        throw new Error('Failed to get 2D context from canvas');
+    }
+    ctx.scale(scale, scale);
+    ctx.lineJoin = 'round';
+
+    const paint = (fill: RGB | null, stroke: RGB | null, lineWidth: number) => {
+        if (fill) {
+            ctx.fillStyle = cssColor(fill);
+            ctx.fill();
+        }
+        if (stroke) {
+            ctx.strokeStyle = cssColor(stroke);
+            ctx.lineWidth = lineWidth;
+            ctx.stroke();
+        }
+    };
+
+    for (const item of page.items) {
+        switch (item.kind) {
+            case 'rect':
+                ctx.beginPath();
+                ctx.rect(item.x, item.y, item.width, item.height);
+                paint(item.fill, item.stroke, item.lineWidth);
+                break;
+            case 'path':
+                ctx.beginPath();
+                item.points.forEach(([x, y], k) => k === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+                if (item.closed) ctx.closePath();
+                paint(item.fill, item.stroke, item.lineWidth);
+                break;
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(item.x, item.y, item.radius, 0, 2 * Math.PI);
+                paint(item.fill, item.stroke, item.lineWidth);
+                break;
+            case 'text':
+                ctx.font = `${item.bold ? 'bold ' : ''}${item.size}px ${FONT_FAMILY}`;
+                ctx.textAlign = item.align;
+                ctx.textBaseline = 'alphabetic';
+                ctx.fillStyle = cssColor(item.color);
+                ctx.fillText(item.text, item.x, item.y);
+                break;
+            case 'image': {
+                const source = createCanvas(item.image.width, item.image.height);
+                const sourceCtx = source.getContext('2d') as CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+                const imageData = sourceCtx.createImageData(item.image.width, item.image.height);
+                imageData.data.set(item.image.data);
+                sourceCtx.putImageData(imageData, 0, 0);
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(source, item.x, item.y, item.width, item.height);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * SVG document of a page, sized in millimeters
+ */
+export function toPrintSVG(page: PrintPage): string {
+    const n = (value: number) => String(Math.round(value * 100) / 100);
+    const paint = (fill: RGB | null, stroke: RGB | null, lineWidth: number) =>
+        `fill="${fill ? cssColor(fill) : 'none'}"` + (stroke ? ` stroke="${cssColor(stroke)}" stroke-width="${n(lineWidth)}"` : '');
+
+    const elements = page.items.map(item => {
+        switch (item.kind) {
+            case 'rect':
+                return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.width)}" height="${n(item.height)}" ${paint(item.fill, item.stroke, item.lineWidth)}/>`;
+            case 'path': {
+                const d = item.points.map(([x, y], k) => `${k === 0 ? 'M' : 'L'}${n(x)} ${n(y)}`).join(' ') + (item.closed ? ' Z' : '');
+                return `<path d="${d}" ${paint(item.fill, item.stroke, item.lineWidth)} stroke-linejoin="round"/>`;
+            }
+            case 'circle':
+                return `<circle cx="${n(item.x)}" cy="${n(item.y)}" r="${n(item.radius)}" ${paint(item.fill, item.stroke, item.lineWidth)}/>`;
+            case 'text': {
+                const anchor = { left: 'start', center: 'middle', right: 'end' }[item.align];
+                return `<text x="${n(item.x)}" y="${n(item.y)}" font-size="${n(item.size)}" text-anchor="${anchor}"` +
+                    `${item.bold ? ' font-weight="bold"' : ''} fill="${cssColor(item.color)}">${escapeXML(item.text)}</text>`;
+            }
+            case 'image':
+                return `<image x="${n(item.x)}" y="${n(item.y)}" width="${n(item.width)}" height="${n(item.height)}" preserveAspectRatio="none"` +
+                    ` style="image-rendering: pixelated" href="data:image/png;base64,${toBase64(encodePNG(item.image))}"/>`;
+        }
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${n(page.width / POINTS_PER_MM)}mm" height="${n(page.height / POINTS_PER_MM)}mm"` +
+        ` viewBox="0 0 ${n(page.width)} ${n(page.height)}" font-family="${FONT_FAMILY}">`,
+        ...elements,
+        '</svg>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Single-page PDF of a page. Images are embedded uncompressed, with their
+ * alpha channel as a soft mask.
+ */
+export function toPrintPDF(page: PrintPage): Uint8Array {
+    const n = (value: number) => String(Math.round(value * 100) / 100);
+    const color = ({ r, g, b }: RGB) => `${n(r / 255)} ${n(g / 255)} ${n(b / 255)}`;
+    const flip = (y: number) => page.height - y;
+
+    const images: RasterImage[] = [];
+    const content: string[] = [];
+    const paint = (fill: RGB | null, stroke: RGB | null, lineWidth: number) => {
+        if (fill) content.push(`${color(fill)} rg`);
+        if (stroke) content.push(`${color(stroke)} RG ${n(lineWidth)} w`);
+        content.push(fill && stroke ? 'B' : fill ? 'f' : stroke ? 'S' : 'n');
+    };
+
+    content.push('1 j');
+    for (const item of page.items) {
+        switch (item.kind) {
+            case 'rect':
+                content.push(`${n(item.x)} ${n(flip(item.y + item.height))} ${n(item.width)} ${n(item.height)} re`);
+                paint(item.fill, item.stroke, item.lineWidth);
+                break;
+            case 'path':
+                content.push(item.points.map(([x, y], k) => `${n(x)} ${n(flip(y))} ${k === 0 ? 'm' : 'l'}`).join(' ') + (item.closed ? ' h' : ''));
+                paint(item.fill, item.stroke, item.lineWidth);
+                break;
+            case 'circle': {
+                // Four Bézier quarter arcs
+                const { x, radius: r } = item;
+                const y = flip(item.y);
+                const k = 0.5523 * r;
+                content.push(`${n(x + r)} ${n(y)} m`,
+                    `${n(x + r)} ${n(y + k)} ${n(x + k)} ${n(y + r)} ${n(x)} ${n(y + r)} c`,
+                    `${n(x - k)} ${n(y + r)} ${n(x - r)} ${n(y + k)} ${n(x - r)} ${n(y)} c`,
+                    `${n(x - r)} ${n(y - k)} ${n(x - k)} ${n(y - r)} ${n(x)} ${n(y - r)} c`,
+                    `${n(x + k)} ${n(y - r)} ${n(x + r)} ${n(y - k)} ${n(x + r)} ${n(y)} c h`);
+                paint(item.fill, item.stroke, item.lineWidth);
+                break;
+            }
+            case 'text': {
+                const width = textWidth(item.text, item.size);
+                const x = item.align === 'left' ? item.x : item.align === 'center' ? item.x - width / 2 : item.x - width;
+                content.push(`BT /${item.bold ? 'F2' : 'F1'} ${n(item.size)} Tf ${color(item.color)} rg ${n(x)} ${n(flip(item.y))} Td (${pdfString(item.text)}) Tj ET`);
+                break;
+            }
+            case 'image':
+                content.push(`q ${n(item.width)} 0 0 ${n(item.height)} ${n(item.x)} ${n(flip(item.y + item.height))} cm /Im${images.length} Do Q`);
+                images.push(item.image);
+                break;
+        }
+    }
+
+    // Objects: catalog, pages, page, two fonts, content, then a color and a mask stream per image
+    const objects: (string | Uint8Array)[][] = [];
+    const imageObject = (k: number) => 7 + 2 * k;
+    const xObjects = images.map((_, k) => `/Im${k} ${imageObject(k)} 0 R`).join(' ');
+    const contentStream = content.join('\n');
+
+    objects.push(['<< /Type /Catalog /Pages 2 0 R >>']);
+    objects.push(['<< /Type /Pages /Kids [3 0 R] /Count 1 >>']);
+    objects.push([`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(page.width)} ${n(page.height)}] ` +
+        `/Resources << /Font << /F1 4 0 R /F2 5 0 R >> /XObject << ${xObjects} >> >> /Contents 6 0 R >>`]);
+    objects.push(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>']);
+    objects.push(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>']);
+    objects.push([`<< /Length ${contentStream.length} >>\nstream\n`, contentStream, '\nendstream']);
+
+    images.forEach((image, k) => {
+        const pixels = image.width * image.height;
+        const rgb = new Uint8Array(pixels * 3);
+        const alpha = new Uint8Array(pixels);
+        for (let p = 0; p < pixels; p++) {
+            rgb[3 * p] = image.data[4 * p];
+            rgb[3 * p + 1] = image.data[4 * p + 1];
+            rgb[3 * p + 2] = image.data[4 * p + 2];
+            alpha[p] = image.data[4 * p + 3];
+        }
+        const header = `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /BitsPerComponent 8 /Interpolate false`;
+        objects.push([`<< ${header} /ColorSpace /DeviceRGB /SMask ${imageObject(k) + 1} 0 R /Length ${rgb.length} >>\nstream\n`, rgb, '\nendstream']);
+        objects.push([`<< ${header} /ColorSpace /DeviceGray /Length ${alpha.length} >>\nstream\n`, alpha, '\nendstream']);
+    });
+
+    const chunks: Uint8Array[] = [];
+    let length = 0;
+    const write = (part: string | Uint8Array) => {
+        const bytes = typeof part === 'string' ? latin1(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+    const offsets: number[] = [];
+    objects.forEach((parts, k) => {
+        offsets.push(length);
+        write(`${k + 1} 0 obj\n`);
+        parts.forEach(write);
+        write('\nendobj\n');
+    });
+
+    const xref = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    }
+    return pdf;
+}
+
+/**
+ * Frame of the map: the largest rectangle with the aspect of the bounds
+ * left of the side panel and below the title, the map and the panel being
+ * centered horizontally
+ */
+function mapFrame(bounds: Bounds, options: PrintMapOptions): Frame {
+    const [pageWidth, pageHeight] = PAGE_SIZES[options.page ?? 'a4-landscape'].map(mm => mm * POINTS_PER_MM);
+    const x = MARGIN + 40;                                     // Latitude labels
+    const y = MARGIN + (options.title ? TITLE_SIZE + 14 : 0);
+    const availableWidth = pageWidth - x - GAP - SIDEBAR_WIDTH - MARGIN;
+    const availableHeight = pageHeight - y - MARGIN - 14;      // Longitude labels
+
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    const ground = (maxLon - minLon) * Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+    const aspect = ground > 0 && maxLat > minLat ? ground / (maxLat - minLat) : 1;
+
+    let width = availableWidth;
+    let height = width / aspect;
+    if (height > availableHeight) {
+        height = availableHeight;
+        width = height * aspect;
+    }
+    return { x: x + (availableWidth - width) / 2, y, width, height };
+}
+
+/**
+ * One pixel per cell, masked cells transparent
+ */
+function gridImage(grid: ValueGrid, colorMapper: ColorMapper): RasterImage {
+    const data = new Uint8ClampedArray(grid.width * grid.height * 4);
+    for (let k = 0; k < grid.width * grid.height; k++) {
+        const value = grid.values[k];
+        if (isNaN(value)) continue;
+        const { r, g, b } = colorMapper.getColor(value);
+        data.set([r, g, b, 255], k * 4);
+    }
+    return { width: grid.width, height: grid.height, data };
+}
+
+function addSamples(items: PrintItem[], frame: Frame, bounds: Bounds, colorMapper: ColorMapper, points: DataPoint[]): void {
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    for (const point of points) {
+        if (point.lon < minLon || point.lon > maxLon || point.lat < minLat || point.lat > maxLat) continue;
+        items.push({
+            kind: 'circle',
+            x: frame.x + (point.lon - minLon) / (maxLon - minLon) * frame.width,
+            y: frame.y + (maxLat - point.lat) / (maxLat - minLat) * frame.height,
+            radius: 2.5,
+            fill: colorMapper.getColor(point.h2),
+            stroke: GRAY,
+            lineWidth: 0.5
+        });
+    }
+}
+
+/**
+ * Outward ticks on the four sides, labelled at the bottom and left
+ */
+function addTicks(items: PrintItem[], frame: Frame, bounds: Bounds): void {
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    const step = niceStep(Math.max(maxLon - minLon, maxLat - minLat) / 6);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const bottom = frame.y + frame.height;
+    const right = frame.x + frame.width;
+
+    for (let lon = Math.ceil(minLon / step) * step; lon <= maxLon; lon += step) {
+        const x = frame.x + (lon - minLon) / (maxLon - minLon) * frame.width;
+        items.push(line([[x, frame.y], [x, frame.y - TICK_LENGTH]]), line([[x, bottom], [x, bottom + TICK_LENGTH]]));
+        items.push(text(x, bottom + TICK_LENGTH + LABEL_SIZE + 1, `${lon.toFixed(decimals)}°`, LABEL_SIZE, 'center'));
+    }
+    for (let lat = Math.ceil(minLat / step) * step; lat <= maxLat; lat += step) {
+        const y = frame.y + (maxLat - lat) / (maxLat - minLat) * frame.height;
+        items.push(line([[frame.x, y], [frame.x - TICK_LENGTH, y]]), line([[right, y], [right + TICK_LENGTH, y]]));
+        items.push(text(frame.x - TICK_LENGTH - 2, y + LABEL_SIZE * 0.35, `${lat.toFixed(decimals)}°`, LABEL_SIZE, 'right'));
+    }
+}
+
+function addNorthArrow(items: PrintItem[], frame: Frame): void {
+    const x = frame.x + frame.width - 24;
+    const y = frame.y + 8;
+    const cx = x + 8;
+    items.push(rect(x, y, 16, 32, WHITE, null));
+    items.push(text(cx, y + 11, 'N', 9, 'center', true));
+    items.push({ kind: 'path', points: [[cx, y + 14], [cx - 5, y + 29], [cx, y + 25]], closed: true, fill: BLACK, stroke: BLACK, lineWidth: 0.5 });
+    items.push({ kind: 'path', points: [[cx, y + 14], [cx + 5, y + 29], [cx, y + 25]], closed: true, fill: WHITE, stroke: BLACK, lineWidth: 0.5 });
+}
+
+/**
+ * Four-segment scale bar about a quarter of the map wide, measured along
+ * the central parallel
+ */
+function addScaleBar(items: PrintItem[], frame: Frame, bounds: Bounds): void {
+    const [minLon, minLat, maxLon, maxLat] = bounds;
+    const lat = (minLat + maxLat) / 2;
+    const mapMeters = geoDistance({ lon: minLon, lat }, { lon: maxLon, lat }, 'm');
+    if (!(mapMeters > 0)) return;
+
+    const meters = niceStep(mapMeters / 4);
+    const [unit, factor] = meters >= 1000 ? ['km', 1000] : ['m', 1];
+    const length = meters / mapMeters * frame.width;
+    const label = (value: number) => String(Number((value / factor).toPrecision(6)));
+
+    const x = frame.x + 10;
+    const y = frame.y + frame.height - 10;
+    items.push(rect(x - 6, y - 22, length + 30, 28, WHITE, null));
+    for (let k = 0; k < 4; k++) {
+        items.push(rect(x + k * length / 4, y - 4, length / 4, 4, k % 2 === 0 ? BLACK : WHITE, BLACK, 0.5));
+    }
+    items.push(text(x, y - 7, '0', LABEL_SIZE - 1, 'center'));
+    items.push(text(x + length / 2, y - 7, label(meters / 2), LABEL_SIZE - 1, 'center'));
+    items.push(text(x + length, y - 7, `${label(meters)} ${unit}`, LABEL_SIZE - 1, 'left'));
+}
+
+/**
+ * Vertical color bar, maximum at the top, with under/over blocks at the
+ * ends. Returns the bottom of the legend.
+ */
+function addLegend(items: PrintItem[], x: number, top: number, barHeight: number, colorMapper: ColorMapper, title: string): number {
+    const { min, max } = colorMapper.getRange();
+    const { underColor, overColor } = colorMapper.getOptions();
+    const classes = colorMapper.getClasses();
+    const barWidth = 14;
+    const block = 10;
+
+    let y = top;
+    if (title) {
+        for (const titleLine of wrapText(title, 10, SIDEBAR_WIDTH)) {
+            y += 12;
+            items.push(text(x, y, titleLine, 10, 'left', true));
+        }
+        y += 8;
+    }
+
+    if (overColor) {
+        items.push(rect(x, y, barWidth, block, overColor, GRAY, 0.5));
+        items.push(text(x + barWidth + 5, y + block / 2 + LABEL_SIZE * 0.35, `> ${formatValue(max)}`, LABEL_SIZE, 'left'));
+        y += block + 6;
+    }
+
+    const barTop = y;
+    const ticks: { value: number; fraction: number }[] = [];
+    if (classes) {
+        // Equal-height blocks, whatever the class widths
+        const count = classes.length - 1;
+        for (let k = 0; k < count; k++) {
+            const color = colorMapper.getColor((classes[k] + classes[k + 1]) / 2);
+            items.push(rect(x, barTop + (count - k - 1) / count * barHeight, barWidth, barHeight / count, color, null));
+        }
+        classes.forEach((value, k) => ticks.push({ value, fraction: k / count }));
+    } else {
+        const steps = 256;
+        const data = new Uint8ClampedArray(steps * 4);
+        for (let i = 0; i < steps; i++) {
+            const { r, g, b } = colorMapper.getColor(max - i / (steps - 1) * (max - min));
+            data.set([r, g, b, 255], i * 4);
+        }
+        items.push({ kind: 'image', x, y: barTop, width: barWidth, height: barHeight, image: { width: 1, height: steps, data } });
+        const span = max - min || 1;
+        [min, ...colorMapper.getBreakpoints().filter(v => v > min && v < max), max]
+            .forEach(value => ticks.push({ value, fraction: (value - min) / span }));
+    }
+    items.push(rect(x, barTop, barWidth, barHeight, null, GRAY, 0.5));
+
+    // Labels too close to the previous one are left out
+    let lastLabel = Infinity;
+    for (const { value, fraction } of ticks) {
+        const tickY = barTop + (1 - fraction) * barHeight;
+        items.push(line([[x + barWidth, tickY], [x + barWidth + 3, tickY]], GRAY));
+        if (lastLabel - tickY >= LABEL_SIZE + 1) {
+            items.push(text(x + barWidth + 5, tickY + LABEL_SIZE * 0.35, formatValue(value), LABEL_SIZE, 'left'));
+            lastLabel = tickY;
+        }
+    }
+    y = barTop + barHeight;
+
+    if (underColor) {
+        y += 6;
+        items.push(rect(x, y, barWidth, block, underColor, GRAY, 0.5));
+        items.push(text(x + barWidth + 5, y + block / 2 + LABEL_SIZE * 0.35, `< ${formatValue(min)}`, LABEL_SIZE, 'left'));
+        y += block;
+    }
+    return y;
+}
+
+function addMetadata(items: PrintItem[], x: number, top: number, rows: [string, string][]): void {
+    let y = top;
+    for (const [label, value] of rows) {
+        y += LABEL_SIZE + 2;
+        items.push(text(x, y, label, LABEL_SIZE, 'left', true));
+        for (const valueLine of wrapText(value, LABEL_SIZE, SIDEBAR_WIDTH)) {
+            y += LABEL_SIZE + 2;
+            items.push(text(x, y, valueLine, LABEL_SIZE, 'left'));
+        }
+        y += 3;
+    }
+}
+
+function rect(x: number, y: number, width: number, height: number, fill: RGB | null, stroke: RGB | null, lineWidth: number = 0): PrintItem {
+    return { kind: 'rect', x, y, width, height, fill, stroke, lineWidth };
+}
+
+function line(points: [number, number][], stroke: RGB = BLACK): PrintItem {
+    return { kind: 'path', points, closed: false, fill: null, stroke, lineWidth: 0.5 };
+}
+
+function text(x: number, y: number, content: string, size: number, align: 'left' | 'center' | 'right', bold: boolean = false): PrintItem {
+    return { kind: 'text', x, y, text: content, size, align, bold, color: BLACK };
+}
+
+function formatValue(value: number): string {
+    return value.toFixed(2);
+}
+
+/**
+ * Width of a text in Helvetica
+ */
+function textWidth(content: string, size: number): number {
+    let width = 0;
+    for (const char of content) {
+        const code = char.charCodeAt(0);
+        width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return width * size / 1000;
+}
+
+/**
+ * Break a text into lines no wider than maxWidth (long words are kept whole)
+ */
+function wrapText(content: string, size: number, maxWidth: number): string[] {
+    const lines: string[] = [];
+    let current = '';
+    for (const word of content.split(/\s+/).filter(w => w.length > 0)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && textWidth(candidate, size) > maxWidth) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current) lines.push(current);
+    return lines;
+}
+
+function cssColor({ r, g, b }: RGB): string {
+    const toHex = (v: number) => Math.round(v).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+function createCanvas(width: number, height: number): HTMLCanvasElement | OffscreenCanvas {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function escapeXML(content: string): string {
+    return content.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * PDF literal string content, in WinAnsi (Latin-1) encoding
+ */
+function pdfString(content: string): string {
+    return Array.from(content, char => {
+        const code = char.charCodeAt(0);
+        if (char === '−') return '-';
+        if (code > 255) return '?';
+        return char === '(' || char === ')' || char === '\\' ? `\\${char}` : char;
+    }).join('');
+}
+
+function latin1(content: string): Uint8Array {
+    const bytes = new Uint8Array(content.length);
+    for (let k = 0; k < content.length; k++) {
+        bytes[k] = content.charCodeAt(k) & 0xff;
+    }
+    return bytes;
+}
+
+function toBase64(bytes: Uint8Array): string {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let k = 0; k < bytes.length; k += chunk) {
+        binary += String.fromCharCode(...bytes.subarray(k, k + chunk));
+    }
+    return btoa(binary);
+}
+
+/**
+ * RGBA PNG with uncompressed (stored) deflate blocks
+ */
+function encodePNG(image: RasterImage): Uint8Array {
+    const { width, height, data } = image;
+    const rowLength = width * 4 + 1;
+    const raw = new Uint8Array(rowLength * height);
+    for (let j = 0; j < height; j++) {
+        raw[j * rowLength] = 0;  // No filter
+        raw.set(data.subarray(j * width * 4, (j + 1) * width * 4), j * rowLength + 1);
+    }
+
+    // zlib stream: header, stored blocks of up to 65535 bytes, Adler-32
+    const blockCount = Math.max(1, Math.ceil(raw.length / 65535));
+    const zlib = new Uint8Array(2 + raw.length + 5 * blockCount + 4);
+    const zview = new DataView(zlib.buffer);
+    zlib[0] = 0x78;
+    zlib[1] = 0x01;
+    let offset = 2;
+    for (let k = 0; k < blockCount; k++) {
+        const block = raw.subarray(k * 65535, (k + 1) * 65535);
+        zlib[offset] = k === blockCount - 1 ? 1 : 0;
+        zview.setUint16(offset + 1, block.length, true);
+        zview.setUint16(offset + 3, ~block.length & 0xffff, true);
+        zlib.set(block, offset + 5);
+        offset += 5 + block.length;
+    }
+    let a = 1;
+    let b = 0;
+    for (let k = 0; k < raw.length; k++) {
+        a = (a + raw[k]) % 65521;
+        b = (b + a) % 65521;
+    }
+    zview.setUint32(offset, ((b << 16) | a) >>> 0);
+
+    const header = new Uint8Array(13);
+    const hview = new DataView(header.buffer);
+    hview.setUint32(0, width);
+    hview.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8);  // 8 bits, RGBA
+
+    const chunks = [pngChunk('IHDR', header), pngChunk('IDAT', zlib), pngChunk('IEND', new Uint8Array(0))];
+    const png = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    let position = 8;
+    for (const chunk of chunks) {
+        png.set(chunk, position);
+        position += chunk.length;
+    }
+    return png;
+}
+
+function pngChunk(type: string, content: Uint8Array): Uint8Array {
+    const chunk = new Uint8Array(content.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, content.length);
+    chunk.set(latin1(type), 4);
+    chunk.set(content, 8);
+    view.setUint32(content.length + 8, crc32(chunk.subarray(4, content.length + 8)));
+    return chunk;
+}
+
+let crcTable: Uint32Array | null = null;
+
+function crc32(bytes: Uint8Array): number {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let k = 0; k < bytes.length; k++) {
+        crc = crcTable[(crc ^ bytes[k]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,150 @@
+/**
+ * Projection - Metric coordinates for distance computations
+ *
+ * Interpolators measure distances in a local equirectangular projection
+ * centered on the data: x is scaled by cos(latitude) so that east-west and
+ * north-south distances agree, and both axes are in meters or kilometers.
+ * Over the extent of a regional survey the distortion is far below the
+ * sampling resolution, and the projection keeps distances Euclidean, which
+ * the k-d tree and the Kriging drift rely on. Raw degrees remain available
+ * as 'degrees' for backward compatibility.
+ */
+
+import { Bounds, DataPoint, DistanceUnits } from './interpolation.types';
+
+export const EARTH_RADIUS_M = 6371008.8; // Mean Earth radius (IUGG)
+
+const DEG = Math.PI / 180;
+
+export class LocalProjection {
+    private readonly radius: number;
+    private readonly cosLat: number;
+
+    constructor(
+        public readonly origin: { lon: number; lat: number },
+        public readonly units: 'm' | 'km' = 'km'
+    ) {
+        this.radius = units === 'km' ? EARTH_RADIUS_M / 1000 : EARTH_RADIUS_M;
+        this.cosLat = Math.cos(origin.lat * DEG);
+    }
+
+    /**
+     * Projection centered on the extent of a set of points
+     */
+    public static fromData(points: { lon: number; lat: number }[], units: 'm' | 'km' = 'km'): LocalProjection {
+        const lons = points.map(p => p.lon);
+        const lats = points.map(p => p.lat);
+        return new LocalProjection({
+            lon: (Math.min(...lons) + Math.max(...lons)) / 2 || 0,
+            lat: (Math.min(...lats) + Math.max(...lats)) / 2 || 0
+        }, units);
+    }
+
+    /**
+     * Geographic to projected coordinates
+     */
+    public forward(lon: number, lat: number): { x: number; y: number } {
+        return {
+            x: this.radius * this.cosLat * (lon - this.origin.lon) * DEG,
+            y: this.radius * (lat - this.origin.lat) * DEG
+        };
+    }
+
+    /**
+     * Projected to geographic coordinates
+     */
+    public inverse(x: number, y: number): { lon: number; lat: number } {
+        return {
+            lon: this.origin.lon + x / (this.radius * this.cosLat * DEG),
+            lat: this.origin.lat + y / (this.radius * DEG)
+        };
+    }
+
+    /**
+     * Geographic bounds to [minX, minY, maxX, maxY]
+     */
+    public forwardBounds([minLon, minLat, maxLon, maxLat]: Bounds): Bounds {
+        const min = this.forward(minLon, minLat);
+        const max = this.forward(maxLon, maxLat);
+        return [min.x, min.y, max.x, max.y];
+    }
+
+    /**
+     * [minX, minY, maxX, maxY] to geographic bounds. The projection is
+     * linear in each axis, so rectangles map to rectangles exactly.
+     */
+    public inverseBounds([minX, minY, maxX, maxY]: Bounds): Bounds {
+        const min = this.inverse(minX, minY);
+        const max = this.inverse(maxX, maxY);
+        return [min.lon, min.lat, max.lon, max.lat];
+    }
+
+    /**
+     * Copy of the points with lon/lat replaced by projected x/y
+     */
+    public projectPoints<T extends DataPoint>(points: T[]): T[] {
+        return points.map(point => {
+            const { x, y } = this.forward(point.lon, point.lat);
+            return { ...point, lon: x, lat: y };
+        });
+    }
+}
+
+/**
+ * Projection for the given units, null for raw degrees
+ */
+export function createProjection(points: { lon: number; lat: number }[], units: DistanceUnits = 'km'): LocalProjection | null {
+    return units === 'degrees' ? null : LocalProjection.fromData(points, units);
+}
+
+/**
+ * Geographic bounds from bounds given in degrees, or in m/km of the
+ * local projection of a set of points
+ */
+export function toGeographicBounds(bounds: Bounds, points: { lon: number; lat: number }[], units: DistanceUnits = 'degrees'): Bounds {
+    const projection = createProjection(points, units);
+    return projection ? projection.inverseBounds(bounds) : bounds;
+}
+
+/**
+ * Great-circle distance between two geographic points
+ */
+export function haversine(
+    p1: { lon: number; lat: number },
+    p2: { lon: number; lat: number },
+    units: 'm' | 'km' = 'km'
+): number {
+    const dLat = (p2.lat - p1.lat) * DEG;
+    const dLon = (p2.lon - p1.lon) * DEG;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(p1.lat * DEG) * Math.cos(p2.lat * DEG) * Math.sin(dLon / 2) ** 2;
+    const radius = units === 'km' ? EARTH_RADIUS_M / 1000 : EARTH_RADIUS_M;
+    return 2 * radius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Distance between two geographic points in the given units
+ * (Euclidean in degrees, great-circle otherwise)
+ */
+export function geoDistance(
+    p1: { lon: number; lat: number },
+    p2: { lon: number; lat: number },
+    units: DistanceUnits = 'km'
+): number {
+    if (units === 'degrees') {
+        return Math.hypot(p1.lon - p2.lon, p1.lat - p2.lat);
+    }
+    return haversine(p1, p2, units);
+}
+
+/**
+ * Round a spacing down to 1, 2 or 5 times a power of ten (graticules,
+ * scale bars)
+ */
+export function niceStep(rough: number): number {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const residual = rough / magnitude;
+    if (residual >= 5) return 5 * magnitude;
+    if (residual >= 2) return 2 * magnitude;
+    return magnitude;
+}
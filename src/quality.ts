@@ -0,0 +1,227 @@
+/**
+ * Quality - Validation of the samples on load
+ *
+ * Samples are checked before interpolation for:
+ *
+ * - values outside a valid range (negative concentrations, more than
+ *   100 %), which are dropped
+ * - duplicate or near-duplicate locations within a campaign, which make
+ *   the Kriging system singular: they are merged into one sample (mean,
+ *   max or first value) unless kept on purpose
+ * - statistical outliers, per campaign: Tukey's fences on the
+ *   interquartile range ('iqr') or the Hampel identifier, i.e. the distance
+ *   to the median in scaled median absolute deviations ('hampel'). They
+ *   are flagged, and only dropped on request.
+ *
+ * Every finding is reported as an issue listing the samples involved.
+ */
+
+import { DataPoint } from './interpolation.types';
+import { createProjection } from './projection';
+import { KDTree } from './kdtree';
+
+export type DuplicateStrategy = 'mean' | 'max' | 'first' | 'keep';
+
+export type OutlierMethod = 'none' | 'iqr' | 'hampel';
+
+export type QualityIssueType = 'range' | 'duplicate' | 'outlier';
+
+export interface QualityOptions {
+    validRange?: [number, number];      // Valid values (default 0 to 1,000,000 ppm)
+    duplicates?: DuplicateStrategy;     // Default 'mean'
+    duplicateTolerance?: number;        // Samples closer than this are duplicates, in meters (default 1)
+    outliers?: OutlierMethod;           // Default 'iqr'
+    outlierThreshold?: number;          // IQR multiplier (default 1.5) or number of MADs (default 3)
+    removeOutliers?: boolean;           // Drop flagged outliers (default false)
+}
+
+export interface QualityIssue {
+    type: QualityIssueType;
+    points: DataPoint[];     // Samples involved, as loaded
+    message: string;
+}
+
+export interface QualityReport {
+    points: DataPoint[];     // Samples kept for interpolation
+    issues: QualityIssue[];
+}
+
+const MAD_SCALE = 1.4826;   // MAD to standard deviation, for normal data
+
+/**
+ * Check a set of samples, returning the samples to interpolate and the
+ * issues found
+ */
+export function checkQuality(points: DataPoint[], options: QualityOptions = {}): QualityReport {
+    const [min, max] = options.validRange ?? [0, 1e6];
+    if (!(min <= max)) {
+        throw new Error('The valid range needs a minimum below the maximum');
+    }
+
+    const issues: QualityIssue[] = [];
+    const valid = points.filter(point => {
+        if (point.h2 >= min && point.h2 <= max) {
+            return true;
+        }
+        issues.push({ type: 'range', points: [point], message: `${format(point.h2)} ppm outside the valid range [${min}, ${max}], dropped` });
+        return false;
+    });
+
+    const merged = mergeDuplicates(valid, options, issues);
+    const outliers = findOutliers(merged, options, issues);
+    return {
+        points: options.removeOutliers ? merged.filter(point => !outliers.has(point)) : merged,
+        issues
+    };
+}
+
+/**
+ * Samples of the same campaign within the tolerance of each other, chained
+ * (single linkage), replaced according to the strategy
+ */
+function mergeDuplicates(points: DataPoint[], options: QualityOptions, issues: QualityIssue[]): DataPoint[] {
+    const strategy = options.duplicates ?? 'mean';
+    const tolerance = options.duplicateTolerance ?? 1;
+    if (!(tolerance >= 0)) {
+        throw new Error('The duplicate tolerance must be a non-negative distance');
+    }
+    if (points.length < 2) {
+        return points;
+    }
+
+    const projection = createProjection(points, 'm')!;
+    const planar = points.map(point => projection.forward(point.lon, point.lat));
+    const tree = new KDTree(planar.map(({ x, y }) => ({ lon: x, lat: y })));
+
+    const parent = points.map((_, i) => i);
+    const root = (i: number): number => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    planar.forEach(({ x, y }, i) => {
+        for (const { index } of tree.within(x, y, tolerance)) {
+            if (index !== i && points[index].campaign === points[i].campaign) {
+                parent[root(index)] = root(i);
+            }
+        }
+    });
+
+    const groups = new Map<number, DataPoint[]>();
+    points.forEach((point, i) => {
+        const group = groups.get(root(i));
+        if (group) {
+            group.push(point);
+        } else {
+            groups.set(root(i), [point]);
+        }
+    });
+
+    const result: DataPoint[] = [];
+    for (const group of groups.values()) {
+        if (group.length === 1) {
+            result.push(group[0]);
+            continue;
+        }
+
+        const values = group.map(point => format(point.h2)).join(', ');
+        const where = tolerance > 0 ? `within ${tolerance} m` : 'at the same location';
+        let kept: DataPoint[];
+        let action: string;
+        switch (strategy) {
+            case 'keep':
+                kept = group;
+                action = 'all kept (Kriging regularizes them)';
+                break;
+            case 'first':
+                kept = [group[0]];
+                action = `kept the first, ${format(group[0].h2)} ppm`;
+                break;
+            case 'max':
+                kept = [group.reduce((best, point) => point.h2 > best.h2 ? point : best)];
+                action = `kept the maximum, ${format(kept[0].h2)} ppm`;
+                break;
+            default: {
+                const mean = (key: 'lat' | 'lon' | 'h2') => group.reduce((sum, point) => sum + point[key], 0) / group.length;
+                kept = [{ ...group[0], lat: mean('lat'), lon: mean('lon'), h2: mean('h2') }];
+                action = `merged into their mean, ${format(kept[0].h2)} ppm`;
+            }
+        }
+        result.push(...kept);
+        issues.push({ type: 'duplicate', points: group, message: `${group.length} samples ${where} (${values} ppm): ${action}` });
+    }
+    return result;
+}
+
+/**
+ * Outliers of each campaign, reported as issues
+ */
+function findOutliers(points: DataPoint[], options: QualityOptions, issues: QualityIssue[]): Set<DataPoint> {
+    const method = options.outliers ?? 'iqr';
+    const outliers = new Set<DataPoint>();
+    if (method === 'none') {
+        return outliers;
+    }
+    const threshold = options.outlierThreshold ?? (method === 'iqr' ? 1.5 : 3);
+    if (!(threshold > 0)) {
+        throw new Error('The outlier threshold must be positive');
+    }
+    const action = options.removeOutliers ? 'dropped' : 'flagged';
+
+    const campaigns = new Map<string, DataPoint[]>();
+    for (const point of points) {
+        const key = point.campaign ?? '';
+        const group = campaigns.get(key);
+        if (group) {
+            group.push(point);
+        } else {
+            campaigns.set(key, [point]);
+        }
+    }
+
+    for (const group of campaigns.values()) {
+        if (group.length < 4) continue;
+        const values = group.map(point => point.h2).sort((a, b) => a - b);
+
+        if (method === 'iqr') {
+            const q1 = quantile(values, 0.25);
+            const q3 = quantile(values, 0.75);
+            const low = q1 - threshold * (q3 - q1);
+            const high = q3 + threshold * (q3 - q1);
+            for (const point of group) {
+                if (point.h2 < low || point.h2 > high) {
+                    outliers.add(point);
+                    issues.push({ type: 'outlier', points: [point], message: `${format(point.h2)} ppm outside the fences [${format(low)}, ${format(high)}] (IQR × ${threshold}), ${action}` });
+                }
+            }
+        } else {
+            const median = quantile(values, 0.5);
+            const mad = MAD_SCALE * quantile(values.map(v => Math.abs(v - median)).sort((a, b) => a - b), 0.5);
+            if (mad === 0) continue;
+            for (const point of group) {
+                const score = Math.abs(point.h2 - median) / mad;
+                if (score > threshold) {
+                    outliers.add(point);
+                    issues.push({ type: 'outlier', points: [point], message: `${format(point.h2)} ppm is ${score.toFixed(1)} MADs from the median ${format(median)} ppm, ${action}` });
+                }
+            }
+        }
+    }
+    return outliers;
+}
+
+/**
+ * Quantile of sorted values, linear between ranks
+ */
+function quantile(sorted: number[], p: number): number {
+    const rank = p * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (rank - lo) * (sorted[hi] - sorted[lo]);
+}
+
+function format(value: number): string {
+    return value.toFixed(2);
+}
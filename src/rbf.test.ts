@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { createRBFInterpolator } from './rbf';
+import { DataPoint } from './interpolation.types';
+
+// Alternating values along a transect: the spline overshoots between them
+const transect: DataPoint[] = [0, 1, 2, 3, 4, 5].map(k => ({ lon: 2 + 0.01 * k, lat: 48 + 0.004 * k * k, h2: k % 2 ? 10 : 0.5 }));
+
+describe('createRBFInterpolator', () => {
+    for (const rbfKernel of ['thinPlate', 'multiquadric'] as const) {
+        it(`passes through the samples with the ${rbfKernel} kernel`, () => {
+            const rbf = createRBFInterpolator(transect, { rbfKernel });
+            for (const point of transect) {
+                expect(rbf.interpolate(point.lon, point.lat)).toBeCloseTo(point.h2, 6);
+            }
+        });
+    }
+
+    it('bounds the estimates to the sample range with rbfClamp', () => {
+        const locations = Array.from({ length: 40 }, (_, k) => [1.99 + 0.0018 * k, 47.99 + 0.0028 * k]);
+        const free = locations.map(([lon, lat]) => createRBFInterpolator(transect).interpolate(lon, lat));
+        expect(Math.min(...free)).toBeLessThan(0.5);
+
+        const clamped = createRBFInterpolator(transect, { rbfClamp: true });
+        for (const [lon, lat] of locations) {
+            const value = clamped.interpolate(lon, lat);
+            expect(value).toBeGreaterThanOrEqual(0.5);
+            expect(value).toBeLessThanOrEqual(10);
+        }
+    });
+
+    // A multiquadric much flatter than the sample spacing is numerically singular
+    const flat = { rbfKernel: 'multiquadric' as const, rbfShape: 1e7 };
+
+    it('leaves NaN where a moving neighborhood is singular', () => {
+        const { lon, lat, h2 } = transect[2];
+        expect(createRBFInterpolator(transect, { ...flat, neighbors: 4 }).interpolate(lon, lat)).toBeNaN();
+        expect(createRBFInterpolator(transect, { neighbors: 4 }).interpolate(lon, lat)).toBeCloseTo(h2, 6);
+    });
+
+    it('rejects a singular global system', () => {
+        expect(() => createRBFInterpolator(transect, flat)).toThrow('Singular RBF system');
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Radial basis function interpolation
+ *
+ * The surface is a sum of radial kernels centered on the samples plus a
+ * linear trend, s(x) = Σ cᵢ φ(|x - xᵢ|) + a₀ + a₁ x + a₂ y, with the
+ * coefficients solved so that s passes through the samples. A smoothing
+ * term added to the diagonal trades exactness for a smoother surface,
+ * which suits noisy measurements.
+ *
+ * Kernels:
+ * - thin-plate spline: φ(r) = r² log r, the minimum bending surface
+ * - multiquadric: φ(r) = -sqrt(r² + ε²), ε controlling the flatness
+ *   (negated so that both kernels are conditionally positive definite and
+ *   smoothing has the same effect; interpolation is unaffected)
+ *
+ * The global system grows as n³: large datasets should use a moving
+ * neighborhood (`neighbors` / `searchRadius`), solved per location. A
+ * neighborhood whose system is singular leaves its location NaN.
+ *
+ * Splines overshoot between samples and can leave the range of the data
+ * (e.g. negative concentrations): `rbfClamp` bounds the estimates to the
+ * sample range.
+ */
+
+import { DataPoint, InterpolationParams, Interpolator, RBFKernel } from './interpolation.types';
+import { KDTree } from './kdtree';
+import { luSolve } from './linalg';
+import { planarSamples } from './planar';
+
+/**
+ * Kernel, smoothing, neighborhood and distance units of the RBF interpolator
+ */
+export type RBFOptions = Pick<InterpolationParams,
+    'rbfKernel' | 'rbfShape' | 'rbfSmoothing' | 'rbfClamp' | 'neighbors' | 'searchRadius' | 'units'>;
+
+interface RBFSurface {
+    centers: DataPoint[];
+    coefficients: Float64Array;   // Kernel coefficients, then the trend terms
+    cx: number;                   // Origin of the trend
+    cy: number;
+    axes: [number, number][];     // Unit directions of the linear trend terms
+}
+
+export function createRBFInterpolator(points: DataPoint[], options: RBFOptions = {}): Interpolator {
+    const samples = planarSamples(points, options.units ?? 'km');
+    const planar = samples.points;
+    const shape = options.rbfShape ?? defaultShape(planar);
+    if (!(shape > 0) && options.rbfKernel === 'multiquadric') {
+        throw new Error('RBF shape parameter must be positive');
+    }
+    const kernel = kernelFunction(options.rbfKernel ?? 'thinPlate', shape);
+    const smoothing = options.rbfSmoothing ?? 0;
+    if (smoothing < 0) {
+        throw new Error('RBF smoothing must be non-negative');
+    }
+    const values = points.map(p => p.h2);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const clamp = options.rbfClamp ? (value: number) => Math.min(max, Math.max(min, value)) : (value: number) => value;
+
+    if (options.neighbors == null && options.searchRadius == null) {
+        let surface: RBFSurface;
+        try {
+            surface = fitSurface(planar, kernel, smoothing);
+        } catch {
+            throw new Error('Singular RBF system: the samples do not determine the surface');
+        }
+        return {
+            interpolate: (lon: number, lat: number) => {
+                const { x, y } = samples.toPlanar(lon, lat);
+                return clamp(evaluate(surface, kernel, x, y));
+            }
+        };
+    }
+
+    const index = new KDTree(planar);
+    return {
+        interpolate: (lon: number, lat: number) => {
+            const { x, y } = samples.toPlanar(lon, lat);
+            const found = index.nearest(x, y, options.neighbors ?? Infinity, options.searchRadius ?? Infinity);
+            if (found.length === 0) return NaN;
+
+            try {
+                const surface = fitSurface(found.map(neighbor => planar[neighbor.index]), kernel, smoothing);
+                return clamp(evaluate(surface, kernel, x, y));
+            } catch {
+                return NaN;
+            }
+        }
+    };
+}
+
+function kernelFunction(kernel: RBFKernel, shape: number): (r: number) => number {
+    switch (kernel) {
+        case 'thinPlate':
+            return r => r > 0 ? r * r * Math.log(r) : 0;
+        case 'multiquadric':
+            return r => -Math.sqrt(r * r + shape * shape);
+        default:
+            throw new Error(`Unknown RBF kernel: ${kernel}`);
+    }
+}
+
+/**
+ * Mean sample spacing, sqrt(area / n) over the bounding box
+ */
+function defaultShape(points: DataPoint[]): number {
+    const xs = points.map(p => p.lon);
+    const ys = points.map(p => p.lat);
+    const width = Math.max(...xs) - Math.min(...xs);
+    const height = Math.max(...ys) - Math.min(...ys);
+    const area = width * height;
+    return area > 0 ? Math.sqrt(area / points.length) : Math.max(width, height) / points.length || 1;
+}
+
+/**
+ * Solve the bordered system [Φ + λI, P; Pᵀ, 0] [c; a] = [values; 0].
+ * The linear trend only spans the directions of the centers: along the
+ * line for collinear centers (a transect), a constant for a single one,
+ * which keeps P of full rank.
+ */
+function fitSurface(centers: DataPoint[], kernel: (r: number) => number, smoothing: number): RBFSurface {
+    const m = centers.length;
+    const cx = centers.reduce((sum, p) => sum + p.lon, 0) / m;
+    const cy = centers.reduce((sum, p) => sum + p.lat, 0) / m;
+    const axes = trendAxes(centers, cx, cy);
+    const terms = 1 + axes.length;
+    const size = m + terms;
+
+    const A = new Float64Array(size * size);
+    const b = new Float64Array(size);
+    for (let i = 0; i < m; i++) {
+        for (let j = 0; j < m; j++) {
+            const r = Math.hypot(centers[i].lon - centers[j].lon, centers[i].lat - centers[j].lat);
+            A[i * size + j] = kernel(r) + (i === j ? smoothing : 0);
+        }
+        const trend = trendTerms(axes, centers[i].lon - cx, centers[i].lat - cy);
+        for (let k = 0; k < terms; k++) {
+            A[i * size + m + k] = trend[k];
+            A[(m + k) * size + i] = trend[k];
+        }
+        b[i] = centers[i].h2;
+    }
+
+    return { centers, coefficients: luSolve(A, b, size), cx, cy, axes };
+}
+
+/**
+ * Directions spanned by the centers, from the eigenvalues of their scatter
+ * matrix: both axes, the principal axis alone when the smaller eigenvalue
+ * vanishes (collinear centers), none for a single center
+ */
+function trendAxes(centers: DataPoint[], cx: number, cy: number): [number, number][] {
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const p of centers) {
+        sxx += (p.lon - cx) ** 2;
+        sxy += (p.lon - cx) * (p.lat - cy);
+        syy += (p.lat - cy) ** 2;
+    }
+    const half = (sxx + syy) / 2;
+    const spread = Math.hypot((sxx - syy) / 2, sxy);
+    const major = half + spread;
+    const minor = half - spread;
+
+    if (!(major > 0)) {
+        return [];
+    }
+    if (minor <= 1e-10 * major) {
+        const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+        return [[Math.cos(angle), Math.sin(angle)]];
+    }
+    return [[1, 0], [0, 1]];
+}
+
+function trendTerms(axes: [number, number][], dx: number, dy: number): number[] {
+    return [1, ...axes.map(([ux, uy]) => dx * ux + dy * uy)];
+}
+
+function evaluate(surface: RBFSurface, kernel: (r: number) => number, x: number, y: number): number {
+    const { centers, coefficients, cx, cy, axes } = surface;
+    const m = centers.length;
+    let value = 0;
+    for (let i = 0; i < m; i++) {
+        value += coefficients[i] * kernel(Math.hypot(x - centers[i].lon, y - centers[i].lat));
+    }
+
+    const trend = trendTerms(axes, x - cx, y - cy);
+    for (let k = 0; k < trend.length; k++) {
+        value += coefficients[m + k] * trend[k];
+    }
+    return value;
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { SESSION_VERSION, ViewerState, decodeStateHash, encodeStateHash, parseSession, serializeSession } from './session';
+
+const state: ViewerState = {
+    version: SESSION_VERSION,
+    controls: { algorithm: 'kriging', variogramModel: 'spherical', reverseScheme: true, breakpoints: '1, 5, 10', printTitle: 'H₂ – Frantz' },
+    dataset: {
+        name: 'h2_frantz.csv',
+        url: 'h2_frantz.csv',
+        text: 'lat,lon,h2\n48.1,2.1,0.5\n',
+        mapping: { lat: 0, lon: 1, value: 2, campaign: -1 }
+    },
+    algorithm: 'kriging',
+    params: {
+        model: 'spherical',
+        range: null,
+        units: 'km',
+        clipPolygons: [[[[2, 48], [2.2, 48], [2.2, 48.2], [2, 48]]]]
+    },
+    bounds: [2, 48, 2.3, 48.4],
+    view: { lon: 2.15, lat: 48.2, zoom: 11 },
+    probe: { lon: 2.1, lat: 48.1 }
+};
+
+describe('URL hash', () => {
+    it('round-trips the state without the dataset content and clip polygons', () => {
+        const hash = encodeStateHash(state);
+        expect(hash).toMatch(/^state=[A-Za-z0-9_-]+$/);
+
+        const decoded = decodeStateHash(`#${hash}`)!;
+        const { text, ...dataset } = state.dataset!;
+        expect(decoded).toEqual({ ...state, dataset, params: { ...state.params, clipPolygons: undefined } });
+        expect(decoded.dataset!.text).toBeUndefined();
+        expect(decoded.params!.clipPolygons).toBeUndefined();
+    });
+
+    it('keeps non-ASCII control values', () => {
+        expect(decodeStateHash(encodeStateHash(state))!.controls.printTitle).toBe('H₂ – Frantz');
+    });
+
+    it('returns null when the hash holds no state', () => {
+        expect(decodeStateHash('')).toBeNull();
+        expect(decodeStateHash('#other=1')).toBeNull();
+    });
+});
+
+describe('session files', () => {
+    it('round-trip the whole state, dataset included', () => {
+        expect(parseSession(serializeSession(state))).toEqual(state);
+    });
+
+    it('reject invalid content', () => {
+        expect(() => parseSession('{')).toThrow('The session file is not valid JSON');
+        expect(() => parseSession('{"version": 1}')).toThrow('Not a viewer session');
+        expect(() => parseSession(JSON.stringify({ ...state, version: SESSION_VERSION + 1 }))).toThrow('Unsupported session version');
+        expect(() => parseSession(JSON.stringify({ ...state, controls: { power: 2 } }))).toThrow("Invalid value for control 'power'");
+        expect(() => parseSession(JSON.stringify({ ...state, bounds: [0, 0, 1] }))).toThrow('Invalid bounds');
+        expect(() => parseSession(JSON.stringify({ ...state, dataset: {} }))).toThrow('Invalid dataset');
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Session - Serializable viewer state
+ *
+ * The viewer state is the value of every control, the column mapping and
+ * the source of the dataset, the grid bounds and the map view. It is
+ * written compactly into the URL hash to share a view of a dataset that
+ * the recipient can load (the bundled one, or any URL), and into JSON
+ * session files that also embed the dataset itself and the clip polygons.
+ */
+
+import { Bounds, InterpolationAlgorithm, InterpolationParams } from './interpolation.types';
+import { ColumnMapping } from './dataLoader';
+
+export const SESSION_VERSION = 1;
+
+const HASH_KEY = 'state';
+
+export interface DatasetSource {
+    name: string;             // File name, selects the parser
+    url?: string;             // Where the dataset can be fetched again
+    text?: string;            // File content (session files only)
+    mapping?: ColumnMapping;
+}
+
+export interface MapViewState {
+    lon: number;
+    lat: number;
+    zoom: number;
+}
+
+export interface ViewerState {
+    version: number;
+    controls: Record<string, string | boolean>;   // Control id to value (checkboxes: checked)
+    dataset?: DatasetSource;
+    algorithm?: InterpolationAlgorithm;           // Resolved from the controls, for readers of the file
+    params?: InterpolationParams;
+    bounds?: Bounds;
+    view?: MapViewState;
+    probe?: { lon: number; lat: number } | null;  // Pinned probe location
+}
+
+/**
+ * URL hash fragment (without '#') holding a state. The dataset content and
+ * the clip polygons are left out: only the dataset name, URL and mapping
+ * are kept.
+ */
+export function encodeStateHash(state: ViewerState): string {
+    const { text, ...dataset } = state.dataset ?? { name: '' };
+    const compact = {
+        ...state,
+        dataset: state.dataset ? dataset : undefined,
+        params: state.params ? { ...state.params, clipPolygons: undefined } : undefined
+    };
+    return `${HASH_KEY}=${toBase64Url(JSON.stringify(compact))}`;
+}
+
+/**
+ * State stored in a URL hash, null if the hash holds none
+ */
+export function decodeStateHash(hash: string): ViewerState | null {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) {
+        return null;
+    }
+    return validateState(JSON.parse(fromBase64Url(encoded)));
+}
+
+/**
+ * Session file content
+ */
+export function serializeSession(state: ViewerState): string {
+    return JSON.stringify(state, null, 2);
+}
+
+/**
+ * Parse and check a session file
+ */
+export function parseSession(text: string): ViewerState {
+    let json: unknown;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        throw new Error('The session file is not valid JSON');
+    }
+    return validateState(json);
+}
+
+function validateState(json: any): ViewerState {
+    if (typeof json !== 'object' || json === null || typeof json.controls !== 'object' || json.controls === null) {
+        throw new Error('Not a viewer session');
+    }
+    if (typeof json.version !== 'number' || json.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version: ${json.version}`);
+    }
+    for (const [id, value] of Object.entries(json.controls)) {
+        if (typeof value !== 'string' && typeof value !== 'boolean') {
+            throw new Error(`Invalid value for control '${id}'`);
+        }
+    }
+    if (json.bounds !== undefined && !(Array.isArray(json.bounds) && json.bounds.length === 4 && json.bounds.every(isFinite))) {
+        throw new Error('Invalid bounds');
+    }
+    if (json.dataset !== undefined && typeof json.dataset?.name !== 'string') {
+        throw new Error('Invalid dataset');
+    }
+    return json as ViewerState;
+}
+
+function toBase64Url(text: string): string {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded: string): string {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
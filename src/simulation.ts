@@ -0,0 +1,286 @@
+/**
+ * Simulation - Sequential Gaussian simulation (SGS)
+ *
+ * Kriging gives the smoothest estimate of a surface, which understates its
+ * variability. A simulation draws surfaces that honor the samples and the
+ * variogram, each one an equally likely version of reality; the spread of
+ * many realizations shows the uncertainty cell by cell.
+ *
+ * The samples are normal-score transformed, and a variogram is fitted on
+ * the scores (keeping the model, range and anisotropy of the parameters).
+ * Each realization visits the grid nodes in a random order; at every node
+ * simple Kriging (mean 0) on the nearest samples and previously simulated
+ * nodes gives a conditional distribution, from which a value is drawn.
+ * Scores are then back-transformed to data units, within the range of the
+ * samples. A seed makes the realizations reproducible.
+ */
+
+import { VariogramParameters } from './kriging';
+import { Bounds, DataPoint, InterpolationParams, ValueGrid } from './interpolation.types';
+import { experimentalVariogram, fitVariogramModel, toIsotropic, variogramValue } from './variogram';
+import { KDTree } from './kdtree';
+import { choleskySolve } from './linalg';
+import { cellCenter } from './grid';
+import { planarSamples } from './planar';
+import { NormalScoreTransform } from './transform';
+import { CellMask } from './mask';
+
+export type SimulationStatistic = 'p10' | 'p50' | 'p90' | 'mean';
+
+export interface SimulationOptions {
+    dataNeighbors?: number;     // Conditioning samples per node (default 12)
+    nodeNeighbors?: number;     // Previously simulated nodes per node (default 12)
+}
+
+const MAX_WINDOW = 8;           // Search radius for simulated nodes, in cells
+
+export class GaussianSimulation {
+    private transform: NormalScoreTransform;
+    private parameters: VariogramParameters;
+    private toPlanar: (lon: number, lat: number) => { x: number; y: number };
+    private xs: Float64Array;       // Samples in the isotropic space
+    private ys: Float64Array;
+    private scores: Float64Array;
+    private index: KDTree;
+    private dataNeighbors: number;
+    private nodeNeighbors: number;
+
+    constructor(data: DataPoint[], params: InterpolationParams = {}, options: SimulationOptions = {}) {
+        if (data.length === 0) {
+            throw new Error('Simulation requires data');
+        }
+        this.transform = new NormalScoreTransform(data.map(d => d.h2));
+        const scored = data.map(d => ({ ...d, h2: this.transform.forward(d.h2) }));
+
+        const anisotropyAngle = params.anisotropyAngle ?? 0;
+        const anisotropyRatio = params.anisotropyRatio ?? 1;
+        if (!(anisotropyRatio > 0 && anisotropyRatio <= 1)) {
+            throw new Error('Anisotropy ratio must be in (0, 1]');
+        }
+
+        // Coincident samples are merged, their scores averaged
+        const samples = planarSamples(scored, params.units);
+        this.toPlanar = samples.toPlanar;
+        const n = samples.points.length;
+        this.xs = new Float64Array(n);
+        this.ys = new Float64Array(n);
+        this.scores = new Float64Array(n);
+        const isotropic = samples.points.map((point, k) => {
+            const { x, y } = toIsotropic(point.lon, point.lat, anisotropyAngle, anisotropyRatio);
+            this.xs[k] = x;
+            this.ys[k] = y;
+            this.scores[k] = point.h2;
+            return { ...point, lon: x, lat: y };
+        });
+
+        // Variogram of the scores: sill and nugget are refitted, the data units no longer apply
+        const model = params.model || 'exponential';
+        const bins = experimentalVariogram(isotropic, { lagCount: params.lagCount, lagWidth: params.lagWidth });
+        const fitted = fitVariogramModel(bins, model, { range: params.range });
+        this.parameters = {
+            model,
+            nugget: fitted.nugget,
+            sill: fitted.sill,
+            range: fitted.range,
+            units: params.units ?? 'km',
+            anisotropyAngle,
+            anisotropyRatio
+        };
+        this.index = new KDTree(Array.from(this.xs, (x, k) => ({ lon: x, lat: this.ys[k] })));
+
+        this.dataNeighbors = options.dataNeighbors ?? 12;
+        this.nodeNeighbors = options.nodeNeighbors ?? 12;
+    }
+
+    /**
+     * Variogram of the normal scores
+     */
+    public getParameters(): VariogramParameters {
+        return { ...this.parameters };
+    }
+
+    /**
+     * One realization on a grid, in data units. Cells outside the mask are
+     * NaN and do not condition their neighbors.
+     */
+    public simulate(bounds: Bounds, width: number, height: number, seed: number = 1, mask: CellMask | null = null): ValueGrid {
+        const count = width * height;
+        const values = new Float32Array(count).fill(NaN);
+        const nodeX = new Float64Array(count);
+        const nodeY = new Float64Array(count);
+        const path: number[] = [];
+        const { anisotropyAngle, anisotropyRatio } = this.parameters;
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const { lon, lat } = cellCenter(bounds, width, height, i, j);
+                if (mask && !mask(lon, lat)) continue;
+                const { x, y } = this.toPlanar(lon, lat);
+                const node = j * width + i;
+                ({ x: nodeX[node], y: nodeY[node] } = toIsotropic(x, y, anisotropyAngle, anisotropyRatio));
+                path.push(node);
+            }
+        }
+
+        const random = seededRandom(seed);
+        shuffle(path, random);
+
+        const radius = this.windowRadius(bounds, width, height);
+        const simulated = new Uint8Array(count);
+        const scores = new Float64Array(count);
+
+        for (const node of path) {
+            const x = nodeX[node];
+            const y = nodeY[node];
+            const conditioning = this.index.nearest(x, y, this.dataNeighbors)
+                .map(({ index }) => ({ x: this.xs[index], y: this.ys[index], value: this.scores[index] }));
+
+            // Nearest simulated nodes in a window around the node
+            const i0 = node % width;
+            const j0 = (node - i0) / width;
+            const nearby: { node: number; distance: number }[] = [];
+            for (let j = Math.max(0, j0 - radius); j <= Math.min(height - 1, j0 + radius); j++) {
+                for (let i = Math.max(0, i0 - radius); i <= Math.min(width - 1, i0 + radius); i++) {
+                    const other = j * width + i;
+                    if (simulated[other]) {
+                        nearby.push({ node: other, distance: Math.hypot(nodeX[other] - x, nodeY[other] - y) });
+                    }
+                }
+            }
+            nearby.sort((a, b) => a.distance - b.distance);
+            const nodes = nearby.slice(0, this.nodeNeighbors)
+                .map(({ node: other }) => ({ x: nodeX[other], y: nodeY[other], value: scores[other] }));
+
+            // A simulated node on top of a sample makes the system singular: fall back to the samples
+            let conditional = this.simpleKriging(x, y, conditioning.concat(nodes));
+            if (!conditional) {
+                conditional = this.simpleKriging(x, y, conditioning) ?? { mean: 0, variance: this.parameters.sill };
+            }
+
+            scores[node] = conditional.mean + Math.sqrt(conditional.variance) * gaussian(random);
+            simulated[node] = 1;
+            values[node] = this.transform.inverse(scores[node]);
+        }
+
+        return { values, width, height, bounds };
+    }
+
+    /**
+     * Mean and variance of the simple Kriging of a node (mean 0), null if
+     * the system is singular
+     */
+    private simpleKriging(x: number, y: number, points: { x: number; y: number; value: number }[]): { mean: number; variance: number } | null {
+        const m = points.length;
+        const { sill } = this.parameters;
+        if (m === 0) {
+            return { mean: 0, variance: sill };
+        }
+
+        const A = new Float64Array(m * m);
+        const rhs = new Float64Array(m);
+        for (let a = 0; a < m; a++) {
+            for (let b = a; b < m; b++) {
+                const c = this.covariance(Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y));
+                A[a * m + b] = c;
+                A[b * m + a] = c;
+            }
+            rhs[a] = this.covariance(Math.hypot(points[a].x - x, points[a].y - y));
+        }
+
+        const weights = rhs.slice();
+        try {
+            choleskySolve(A, weights, m);
+        } catch {
+            return null;
+        }
+
+        let mean = 0;
+        let variance = sill;
+        for (let a = 0; a < m; a++) {
+            mean += weights[a] * points[a].value;
+            variance -= weights[a] * rhs[a];
+        }
+        return { mean, variance: Math.max(0, variance) };
+    }
+
+    private covariance(h: number): number {
+        const { model, nugget, sill, range } = this.parameters;
+        return sill - variogramValue(model, nugget, sill, range, h);
+    }
+
+    /**
+     * Cells to search around a node: enough to span the variogram range,
+     * at most MAX_WINDOW
+     */
+    private windowRadius(bounds: Bounds, width: number, height: number): number {
+        const [minLon, minLat, maxLon, maxLat] = bounds;
+        const corner = this.toPlanar(minLon, minLat);
+        const east = this.toPlanar(maxLon, minLat);
+        const north = this.toPlanar(minLon, maxLat);
+        const cell = Math.min(Math.abs(east.x - corner.x) / width, Math.abs(north.y - corner.y) / height);
+        return cell > 0 ? Math.max(1, Math.min(MAX_WINDOW, Math.ceil(this.parameters.range / cell))) : 1;
+    }
+}
+
+/**
+ * Cell by cell statistic of a set of realizations: P10, P50 and P90 are
+ * the 10th, 50th and 90th percentiles (linear between ranks)
+ */
+export function summarizeRealizations(realizations: ValueGrid[], statistic: SimulationStatistic): ValueGrid {
+    if (realizations.length === 0) {
+        throw new Error('No realization to summarize');
+    }
+    const { width, height, bounds } = realizations[0];
+    const values = new Float32Array(width * height);
+    const p = { p10: 0.1, p50: 0.5, p90: 0.9, mean: NaN }[statistic];
+    const cell: number[] = [];
+
+    for (let k = 0; k < width * height; k++) {
+        cell.length = 0;
+        for (const realization of realizations) {
+            const value = realization.values[k];
+            if (!isNaN(value)) cell.push(value);
+        }
+        if (cell.length === 0) {
+            values[k] = NaN;
+        } else if (statistic === 'mean') {
+            values[k] = cell.reduce((a, b) => a + b, 0) / cell.length;
+        } else {
+            cell.sort((a, b) => a - b);
+            const rank = p * (cell.length - 1);
+            const lo = Math.floor(rank);
+            const hi = Math.min(cell.length - 1, lo + 1);
+            values[k] = cell[lo] + (rank - lo) * (cell[hi] - cell[lo]);
+        }
+    }
+
+    return { values, width, height, bounds };
+}
+
+/**
+ * Uniform generator on [0, 1) (mulberry32)
+ */
+function seededRandom(seed: number): () => number {
+    let state = (seed >>> 0) ^ 0x9e3779b9;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function gaussian(random: () => number): number {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function shuffle<T>(items: T[], random: () => number): void {
+    for (let k = items.length - 1; k > 0; k--) {
+        const r = Math.floor(random() * (k + 1));
+        [items[k], items[r]] = [items[r], items[k]];
+    }
+}
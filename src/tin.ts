@@ -0,0 +1,37 @@
+import { DataPoint, DistanceUnits, WeightedInterpolator } from './interpolation.types';
+import { Delaunay } from './delaunay';
+import { planarSamples, expandWeights } from './planar';
+
+/**
+ * Linear interpolation on the Delaunay triangulation of the samples (TIN).
+ * Each estimate is the barycentric blend of the three corners of the
+ * enclosing triangle; locations outside the convex hull are NaN.
+ */
+export function createTINInterpolator(points: DataPoint[], units: DistanceUnits = 'km'): WeightedInterpolator {
+    const samples = planarSamples(points, units);
+    const triangulation = new Delaunay(samples.points);
+
+    const cornerWeights = (lon: number, lat: number): Map<number, number> | null => {
+        const { x, y } = samples.toPlanar(lon, lat);
+        const t = triangulation.find(x, y);
+        if (t === -1) return null;
+
+        const corners = triangulation.vertices(t);
+        const barycentric = triangulation.barycentric(t, x, y);
+        return new Map(corners.map((vertex, k) => [vertex, barycentric[k]]));
+    };
+
+    return {
+        interpolate: (lon: number, lat: number) => {
+            const weights = cornerWeights(lon, lat);
+            if (!weights) return NaN;
+
+            let value = 0;
+            for (const [vertex, weight] of weights) {
+                value += weight * samples.points[vertex].h2;
+            }
+            return value;
+        },
+        weights: (lon: number, lat: number) => expandWeights(samples, cornerWeights(lon, lat) ?? new Map(), points.length)
+    };
+}
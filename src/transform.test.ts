@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+    BoxCoxTransform, LogTransform, NormalScoreTransform,
+    boxCoxLambda, createTransform, normalCDF, normalQuantile
+} from './transform';
+
+const SAMPLES = [0.05, 0.2, 0.4, 0.4, 1.1, 2.5, 3.7, 8.2, 15, 27.7];
+
+describe('transform round-trips', () => {
+    const transforms = [
+        new LogTransform(),
+        new BoxCoxTransform(0),
+        new BoxCoxTransform(0.35),
+        new BoxCoxTransform(1.5),
+        new NormalScoreTransform(SAMPLES)
+    ];
+    for (const transform of transforms) {
+        const name = transform instanceof BoxCoxTransform ? `boxcox λ = ${transform.lambda}` : transform.type;
+        it(`inverse(forward(z)) = z for ${name}`, () => {
+            for (const value of SAMPLES) {
+                expect(transform.inverse(transform.forward(value))).toBeCloseTo(value, 9);
+            }
+        });
+    }
+
+    it('maps tied samples to the same normal score, monotonically', () => {
+        const transform = new NormalScoreTransform(SAMPLES);
+        const scores = SAMPLES.map(v => transform.forward(v));
+        expect(scores[2]).toBe(scores[3]);
+        scores.forEach((score, k) => k > 0 && expect(score).toBeGreaterThanOrEqual(scores[k - 1]));
+        // Beyond the samples, scores and values stay at the extremes
+        expect(transform.inverse(10)).toBe(27.7);
+        expect(transform.inverse(-10)).toBe(0.05);
+    });
+});
+
+describe('back-transform moments', () => {
+    it('match the closed-form lognormal moments for Box-Cox λ = 0', () => {
+        const log = new LogTransform();
+        const boxCox = new BoxCoxTransform(0);
+        expect(log.expectation(1, 0.5)).toBeCloseTo(Math.exp(1.25), 12);
+        expect(boxCox.expectation(1, 0.5)).toBeCloseTo(log.expectation(1, 0.5), 6);
+        expect(boxCox.variance(1, 0.5)).toBeCloseTo(log.variance(1, 0.5), 4);
+    });
+
+    it('reduce to the inverse without variance', () => {
+        expect(new BoxCoxTransform(0.5).expectation(2, 0)).toBeCloseTo(4, 12);
+    });
+});
+
+describe('createTransform', () => {
+    it('returns null for none and rejects non-positive values for log and Box-Cox', () => {
+        expect(createTransform(SAMPLES, 'none')).toBeNull();
+        expect(() => createTransform([1, 0, 2], 'log')).toThrow('The log transform requires strictly positive values');
+        expect(() => createTransform([1, -1], 'boxcox')).toThrow('The Box-Cox transform requires strictly positive values');
+    });
+
+    it('estimates a Box-Cox exponent near 0 for lognormal data', () => {
+        const lognormal = Array.from({ length: 199 }, (_, k) => Math.exp(normalQuantile((k + 1) / 200)));
+        expect(boxCoxLambda(lognormal)).toBeCloseTo(0, 1);
+    });
+});
+
+describe('normal distribution', () => {
+    it('normalQuantile inverts normalCDF', () => {
+        for (const p of [0.001, 0.1, 0.5, 0.9, 0.999]) {
+            expect(normalCDF(normalQuantile(p))).toBeCloseTo(p, 6);
+        }
+        expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    });
+});
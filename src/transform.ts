@@ -0,0 +1,310 @@
+/**
+ * Transform - Normalizing transforms for skewed data
+ *
+ * Concentrations are positive and right-skewed, while Kriging works best
+ * on roughly Gaussian values. A transform is fitted on the sample values,
+ * the interpolation runs on the transformed values, and estimates are
+ * mapped back to data units:
+ *
+ * - log: y = ln(z)
+ * - Box-Cox: y = (z^λ - 1) / λ, λ estimated by maximum likelihood if not given
+ * - normal score: y = Φ⁻¹(rank of z), the sample quantiles mapped to a
+ *   standard normal distribution
+ *
+ * When the estimate comes with a variance (Kriging), the back-transform is
+ * the expectation of the inverse transform under a Gaussian N(y, σ²), which
+ * removes the bias of plain back-transformation (exp(y) underestimates the
+ * mean of a lognormal variable). Without a variance, the inverse transform
+ * gives the median.
+ */
+
+import { DataTransformType, Interpolator, NegativeValues } from './interpolation.types';
+
+const QUADRATURE_STEPS = 96;    // Simpson intervals over ±6 standard deviations
+const QUADRATURE_EXTENT = 6;
+
+export abstract class DataTransform {
+    public abstract readonly type: DataTransformType;
+
+    /**
+     * Data units to transformed values
+     */
+    public abstract forward(value: number): number;
+
+    /**
+     * Transformed values to data units
+     */
+    public abstract inverse(score: number): number;
+
+    /**
+     * E[inverse(Y)] for Y ~ N(mean, variance)
+     */
+    public expectation(mean: number, variance: number): number {
+        return this.moments(mean, variance).mean;
+    }
+
+    /**
+     * Var[inverse(Y)] for Y ~ N(mean, variance)
+     */
+    public variance(mean: number, variance: number): number {
+        return this.moments(mean, variance).variance;
+    }
+
+    /**
+     * Moments of inverse(Y) by Simpson quadrature over the normal density
+     */
+    protected moments(mean: number, variance: number): { mean: number; variance: number } {
+        if (!(variance > 0)) {
+            return { mean: this.inverse(mean), variance: 0 };
+        }
+
+        const sd = Math.sqrt(variance);
+        const step = 2 * QUADRATURE_EXTENT / QUADRATURE_STEPS;
+        let m1 = 0;
+        let m2 = 0;
+        let total = 0;
+        for (let k = 0; k <= QUADRATURE_STEPS; k++) {
+            const z = -QUADRATURE_EXTENT + k * step;
+            const weight = (k === 0 || k === QUADRATURE_STEPS ? 1 : k % 2 === 1 ? 4 : 2) * Math.exp(-z * z / 2);
+            const value = this.inverse(mean + sd * z);
+            m1 += weight * value;
+            m2 += weight * value * value;
+            total += weight;
+        }
+        m1 /= total;
+        m2 /= total;
+        return { mean: m1, variance: Math.max(0, m2 - m1 * m1) };
+    }
+}
+
+/**
+ * Natural logarithm, with the closed-form lognormal moments
+ */
+export class LogTransform extends DataTransform {
+    public readonly type = 'log';
+
+    public forward(value: number): number {
+        return Math.log(value);
+    }
+
+    public inverse(score: number): number {
+        return Math.exp(score);
+    }
+
+    protected moments(mean: number, variance: number): { mean: number; variance: number } {
+        const v = Math.max(0, variance);
+        return {
+            mean: Math.exp(mean + v / 2),
+            variance: Math.exp(2 * mean + v) * (Math.exp(v) - 1)
+        };
+    }
+}
+
+/**
+ * Box-Cox power transform (λ = 0 is the logarithm)
+ */
+export class BoxCoxTransform extends DataTransform {
+    public readonly type = 'boxcox';
+
+    constructor(public readonly lambda: number) {
+        super();
+    }
+
+    public forward(value: number): number {
+        return this.lambda === 0 ? Math.log(value) : (Math.pow(value, this.lambda) - 1) / this.lambda;
+    }
+
+    public inverse(score: number): number {
+        if (this.lambda === 0) {
+            return Math.exp(score);
+        }
+        // Scores beyond the range of the transform map to its limit (0 or ∞)
+        return Math.pow(Math.max(0, this.lambda * score + 1), 1 / this.lambda);
+    }
+}
+
+/**
+ * Normal score transform: piecewise-linear mapping between the sorted
+ * sample values and standard normal quantiles. Values beyond the sample
+ * range map to the extreme scores and back to the extreme values.
+ */
+export class NormalScoreTransform extends DataTransform {
+    public readonly type = 'normalScore';
+    private values: number[] = [];    // Distinct sample values, ascending
+    private scores: number[] = [];    // Mean normal score of each value
+
+    constructor(samples: number[]) {
+        super();
+        const sorted = [...samples].sort((a, b) => a - b);
+        const n = sorted.length;
+
+        // Tied values share the mean score of their ranks
+        for (let start = 0; start < n;) {
+            let end = start;
+            while (end + 1 < n && sorted[end + 1] === sorted[start]) end++;
+            let score = 0;
+            for (let rank = start; rank <= end; rank++) {
+                score += normalQuantile((rank + 0.5) / n);
+            }
+            this.values.push(sorted[start]);
+            this.scores.push(score / (end - start + 1));
+            start = end + 1;
+        }
+    }
+
+    public forward(value: number): number {
+        return interpolateTable(this.values, this.scores, value);
+    }
+
+    public inverse(score: number): number {
+        return interpolateTable(this.scores, this.values, score);
+    }
+}
+
+/**
+ * Transform of the given type fitted on sample values, null for 'none'
+ */
+export function createTransform(
+    values: number[],
+    type: DataTransformType = 'none',
+    options: { boxCoxLambda?: number | null } = {}
+): DataTransform | null {
+    if (type === 'none') {
+        return null;
+    }
+    if (values.length === 0) {
+        throw new Error('Cannot fit a transform without data');
+    }
+    if ((type === 'log' || type === 'boxcox') && values.some(v => !(v > 0))) {
+        throw new Error(`The ${type === 'log' ? 'log' : 'Box-Cox'} transform requires strictly positive values`);
+    }
+
+    switch (type) {
+        case 'log':
+            return new LogTransform();
+        case 'boxcox': {
+            const lambda = options.boxCoxLambda ?? boxCoxLambda(values);
+            if (!(lambda >= 0)) {
+                throw new Error('Box-Cox exponent must be non-negative');
+            }
+            return new BoxCoxTransform(lambda);
+        }
+        case 'normalScore':
+            return new NormalScoreTransform(values);
+        default:
+            throw new Error(`Unknown transform: ${type}`);
+    }
+}
+
+/**
+ * Maximum likelihood Box-Cox exponent, searched over [0, 2] by steps of
+ * 0.01. Negative exponents are left out: their inverse is unbounded, so
+ * the expectation of the back-transform would diverge.
+ */
+export function boxCoxLambda(values: number[]): number {
+    const n = values.length;
+    const logs = values.map(Math.log);
+    const logSum = logs.reduce((a, b) => a + b, 0);
+
+    let best = 1;
+    let bestLikelihood = -Infinity;
+    for (let k = 0; k <= 200; k++) {
+        const lambda = k / 100;
+        const transformed = lambda === 0
+            ? logs
+            : values.map(v => (Math.pow(v, lambda) - 1) / lambda);
+        const mean = transformed.reduce((a, b) => a + b, 0) / n;
+        const variance = transformed.reduce((sum, y) => sum + (y - mean) ** 2, 0) / n;
+        const likelihood = -n / 2 * Math.log(variance) + (lambda - 1) * logSum;
+        if (likelihood > bestLikelihood) {
+            bestLikelihood = likelihood;
+            best = lambda;
+        }
+    }
+    return best;
+}
+
+/**
+ * Run an interpolator on transformed values and back-transform its
+ * estimates (median back-transform, no variance being available).
+ * Sample weights are passed through when the interpolator has them.
+ */
+export function transformInterpolator<T extends Interpolator>(interpolator: T, transform: DataTransform): T {
+    return {
+        ...interpolator,
+        interpolate: (lon: number, lat: number) => transform.inverse(interpolator.interpolate(lon, lat))
+    };
+}
+
+/**
+ * Apply the policy for physically impossible negative estimates
+ */
+export function applyNegativeValues(value: number, policy: NegativeValues = 'keep'): number {
+    if (value >= 0 || policy === 'keep') {
+        return value;
+    }
+    return policy === 'clamp' ? 0 : NaN;
+}
+
+/**
+ * Standard normal quantile Φ⁻¹(p) (Acklam's rational approximation,
+ * relative error below 1.2e-9)
+ */
+export function normalQuantile(p: number): number {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Standard normal cumulative distribution Φ(x), from the complementary
+ * error function (Chebyshev fit, relative error below 1.2e-7)
+ */
+export function normalCDF(x: number): number {
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + z / 2);
+    const erfc = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+/**
+ * Piecewise-linear lookup in an ascending table, clamped at both ends
+ */
+function interpolateTable(xs: number[], ys: number[], x: number): number {
+    const last = xs.length - 1;
+    if (isNaN(x)) return NaN;
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[last]) return ys[last];
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (xs[mid] <= x) lo = mid; else hi = mid;
+    }
+    const t = (x - xs[lo]) / (xs[hi] - xs[lo]);
+    return ys[lo] + t * (ys[hi] - ys[lo]);
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { experimentalVariogram, fitVariogramModel, toIsotropic, variogramValue, VariogramBin } from './variogram';
+import { VariogramModel } from './interpolation.types';
+
+// Bins lying exactly on a model
+function modelBins(model: VariogramModel, nugget: number, sill: number, range: number): VariogramBin[] {
+    return Array.from({ length: 12 }, (_, k) => {
+        const lag = (k + 1) * range / 8;
+        return { lag, gamma: variogramValue(model, nugget, sill, range, lag), count: 20 + k };
+    });
+}
+
+describe('variogramValue', () => {
+    it('is 0 at the origin, starts at the nugget and reaches the sill', () => {
+        expect(variogramValue('spherical', 0.5, 3, 10, 0)).toBe(0);
+        expect(variogramValue('spherical', 0.5, 3, 10, 1e-9)).toBeCloseTo(0.5, 6);
+        expect(variogramValue('spherical', 0.5, 3, 10, 10)).toBe(3);
+        expect(variogramValue('spherical', 0.5, 3, 10, 25)).toBe(3);
+        // Practical range: 95 % of the partial sill
+        expect(variogramValue('exponential', 0, 1, 10, 10)).toBeCloseTo(1 - Math.exp(-3), 12);
+        expect(variogramValue('gaussian', 0, 1, 10, 10)).toBeCloseTo(1 - Math.exp(-3), 12);
+    });
+});
+
+describe('fitVariogramModel', () => {
+    for (const model of ['exponential', 'gaussian', 'spherical'] as const) {
+        it(`recovers the parameters of noise-free ${model} bins`, () => {
+            const fitted = fitVariogramModel(modelBins(model, 0.4, 2.5, 6), model);
+            expect(fitted.model).toBe(model);
+            expect(fitted.nugget).toBeCloseTo(0.4, 2);
+            expect(fitted.sill).toBeCloseTo(2.5, 2);
+            expect(fitted.range).toBeCloseTo(6, 1);
+            expect(fitted.residual).toBeLessThan(1e-6);
+        });
+    }
+
+    it('keeps a fixed range and nugget', () => {
+        const fitted = fitVariogramModel(modelBins('spherical', 0.4, 2.5, 6), 'spherical', { range: 4, nugget: 0 });
+        expect(fitted.range).toBe(4);
+        expect(fitted.nugget).toBe(0);
+    });
+
+    it('needs at least one bin', () => {
+        expect(() => fitVariogramModel([], 'spherical')).toThrow('Cannot fit a variogram without experimental bins');
+    });
+});
+
+describe('experimentalVariogram', () => {
+    it('averages the semivariance of the pairs in each lag class', () => {
+        const points = [0, 1, 2, 3].map(x => ({ lon: x, lat: 0, h2: x }));
+        const bins = experimentalVariogram(points, { lagCount: 2, lagWidth: 1.5 });
+        // Classes [0, 1.5): lag 1, 3 pairs, γ = 0.5; [1.5, 3): lag 2, 2 pairs, γ = 2; lag 3 falls outside
+        expect(bins).toEqual([
+            { lag: 1, gamma: 0.5, count: 3 },
+            { lag: 2, gamma: 2, count: 2 }
+        ]);
+    });
+});
+
+describe('toIsotropic', () => {
+    it('keeps lags along the major axis and stretches those along the minor axis', () => {
+        // Major axis at azimuth 30° (clockwise from north), ratio 0.5
+        const t = 30 * Math.PI / 180;
+        const major = toIsotropic(Math.sin(t), Math.cos(t), 30, 0.5);
+        const minor = toIsotropic(Math.cos(t), -Math.sin(t), 30, 0.5);
+        expect(Math.hypot(major.x, major.y)).toBeCloseTo(1, 12);
+        expect(Math.hypot(minor.x, minor.y)).toBeCloseTo(2, 12);
+    });
+
+    it('is the identity without anisotropy', () => {
+        expect(toIsotropic(3, -4, 45, 1)).toEqual({ x: 3, y: -4 });
+    });
+});
@@ -0,0 +1,401 @@
+/**
+ * Experimental variogram and variogram model fitting
+ *
+ * The experimental variogram bins all pairs of samples by separation
+ * distance and averages their semivariances. A theoretical model
+ * (exponential, gaussian or spherical) is then fitted to those bins by
+ * weighted least squares, using N(h) / h² weights (pair count over squared
+ * lag) so that well populated, short-lag bins dominate the fit. Unlike
+ * Cressie's N(h) / γ(h)², they do not depend on the model being fitted.
+ *
+ * Directional variograms and the variogram map split the same pairs by
+ * the direction of their separation vector, to reveal anisotropy. They
+ * expect planar coordinates (x stored in lon, y in lat), azimuths being
+ * measured in degrees clockwise from north.
+ */
+
+import { DataPoint, VariogramModel } from './interpolation.types';
+
+export interface VariogramBin {
+    lag: number;    // Mean separation distance of the pairs in the bin
+    gamma: number;  // Mean semivariance
+    count: number;  // Number of pairs
+}
+
+export interface ExperimentalVariogramOptions {
+    lagCount?: number;         // Number of bins (default 12)
+    lagWidth?: number | null;  // Bin width, defaults to half the max distance / lagCount
+}
+
+export interface VariogramFitOptions {
+    nugget?: number;         // Fixed nugget, fitted if omitted
+    sill?: number | null;    // Fixed sill, fitted if omitted
+    range?: number | null;   // Fixed range, fitted if omitted
+}
+
+export interface FittedVariogram {
+    model: VariogramModel;
+    nugget: number;
+    sill: number;
+    range: number;
+    residual: number; // Weighted sum of squared residuals
+}
+
+export interface DirectionalVariogramOptions extends ExperimentalVariogramOptions {
+    directions?: number[];   // Sector azimuths (default 0, 45, 90 and 135°)
+    tolerance?: number;      // Sector half-width (default 90° / number of directions)
+}
+
+export interface DirectionalVariogram {
+    azimuth: number;
+    tolerance: number;
+    bins: VariogramBin[];
+}
+
+/**
+ * Semivariance as a function of the separation vector (hx, hy)
+ */
+export interface VariogramMap {
+    size: number;           // Cells per side, odd: the center cell is h = 0
+    cellSize: number;       // Lag width of one cell
+    gamma: Float64Array;    // Mean semivariance by cell, row 0 = northern lags, NaN without pairs
+    counts: Uint32Array;    // Number of pairs by cell
+}
+
+type Coordinates = { lon: number; lat: number };
+
+const DEG = Math.PI / 180;
+
+/**
+ * Evaluate a variogram model at distance h
+ */
+export function variogramValue(
+    model: VariogramModel,
+    nugget: number,
+    sill: number,
+    range: number,
+    h: number
+): number {
+    if (h === 0) return 0;
+    return nugget + (sill - nugget) * variogramShape(model, h, range);
+}
+
+/**
+ * Normalized structure of a variogram model (0 at h = 0, 1 at the sill)
+ */
+export function variogramShape(model: VariogramModel, h: number, range: number): number {
+    switch (model) {
+        case 'gaussian':
+            return 1 - Math.exp(-3 * Math.pow(h / range, 2));
+        case 'spherical':
+            if (h >= range) return 1;
+            return 1.5 * h / range - 0.5 * Math.pow(h / range, 3);
+        case 'exponential':
+        default:
+            return 1 - Math.exp(-3 * h / range);
+    }
+}
+
+/**
+ * Compute a binned experimental variogram
+ */
+export function experimentalVariogram(
+    data: DataPoint[],
+    options: ExperimentalVariogramOptions = {},
+    distance: (p1: Coordinates, p2: Coordinates) => number = euclidean
+): VariogramBin[] {
+    const n = data.length;
+    const lagCount = Math.max(1, Math.round(options.lagCount ?? 12));
+
+    const lagWidth = options.lagWidth ?? autoLagWidth(data, lagCount, distance);
+    if (!(lagWidth > 0)) {
+        return [];
+    }
+
+    const sums = Array.from({ length: lagCount }, () => ({ h: 0, gamma: 0, count: 0 }));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const h = distance(data[i], data[j]);
+            const bin = Math.floor(h / lagWidth);
+            if (bin < lagCount) {
+                sums[bin].h += h;
+                sums[bin].gamma += 0.5 * Math.pow(data[i].h2 - data[j].h2, 2);
+                sums[bin].count++;
+            }
+        }
+    }
+
+    return sums
+        .filter(s => s.count > 0)
+        .map(s => ({ lag: s.h / s.count, gamma: s.gamma / s.count, count: s.count }));
+}
+
+/**
+ * Experimental variograms of the pairs whose direction falls in angular
+ * sectors. Directions are axial: a pair and its reverse are the same.
+ */
+export function directionalVariograms(
+    data: DataPoint[],
+    options: DirectionalVariogramOptions = {}
+): DirectionalVariogram[] {
+    const n = data.length;
+    const lagCount = Math.max(1, Math.round(options.lagCount ?? 12));
+    const directions = options.directions ?? [0, 45, 90, 135];
+    const tolerance = options.tolerance ?? 90 / directions.length;
+
+    const lagWidth = options.lagWidth ?? autoLagWidth(data, lagCount, euclidean);
+    if (!(lagWidth > 0)) {
+        return directions.map(azimuth => ({ azimuth, tolerance, bins: [] }));
+    }
+
+    const sums = directions.map(() => Array.from({ length: lagCount }, () => ({ h: 0, gamma: 0, count: 0 })));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const dx = data[j].lon - data[i].lon;
+            const dy = data[j].lat - data[i].lat;
+            const h = Math.sqrt(dx * dx + dy * dy);
+            const bin = Math.floor(h / lagWidth);
+            if (bin >= lagCount || h === 0) continue;
+
+            const azimuth = Math.atan2(dx, dy) / DEG;
+            const gamma = 0.5 * Math.pow(data[i].h2 - data[j].h2, 2);
+            directions.forEach((direction, d) => {
+                if (axialDifference(azimuth, direction) <= tolerance) {
+                    sums[d][bin].h += h;
+                    sums[d][bin].gamma += gamma;
+                    sums[d][bin].count++;
+                }
+            });
+        }
+    }
+
+    return directions.map((azimuth, d) => ({
+        azimuth,
+        tolerance,
+        bins: sums[d]
+            .filter(s => s.count > 0)
+            .map(s => ({ lag: s.h / s.count, gamma: s.gamma / s.count, count: s.count }))
+    }));
+}
+
+/**
+ * Variogram map: mean semivariance on a grid of separation vectors,
+ * lagCount cells on each side of the origin. Each pair fills both h and -h.
+ */
+export function variogramMap(data: DataPoint[], options: ExperimentalVariogramOptions = {}): VariogramMap {
+    const n = data.length;
+    const lagCount = Math.max(1, Math.round(options.lagCount ?? 12));
+    const size = 2 * lagCount + 1;
+    const cellSize = options.lagWidth ?? autoLagWidth(data, lagCount, euclidean);
+
+    const sums = new Float64Array(size * size);
+    const counts = new Uint32Array(size * size);
+    if (cellSize > 0) {
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const ci = Math.round((data[j].lon - data[i].lon) / cellSize);
+                const cj = Math.round((data[j].lat - data[i].lat) / cellSize);
+                if (Math.abs(ci) > lagCount || Math.abs(cj) > lagCount) continue;
+
+                const gamma = 0.5 * Math.pow(data[i].h2 - data[j].h2, 2);
+                for (const sign of [1, -1]) {
+                    const k = (lagCount - sign * cj) * size + lagCount + sign * ci;
+                    sums[k] += gamma;
+                    counts[k]++;
+                }
+            }
+        }
+    }
+
+    const gamma = new Float64Array(size * size);
+    for (let k = 0; k < size * size; k++) {
+        gamma[k] = counts[k] > 0 ? sums[k] / counts[k] : NaN;
+    }
+
+    return { size, cellSize, gamma, counts };
+}
+
+/**
+ * Distance factor of a geometric anisotropy: a lag h in the direction
+ * `azimuth` is worth h * factor along the major axis (angle, ratio = minor / major)
+ */
+export function anisotropyFactor(azimuth: number, angle: number, ratio: number): number {
+    const t = (azimuth - angle) * DEG;
+    return Math.sqrt(Math.pow(Math.cos(t), 2) + Math.pow(Math.sin(t) / ratio, 2));
+}
+
+/**
+ * Change of coordinates to the isotropic space of a geometric anisotropy:
+ * along the major axis (azimuth `angle`), and along the minor axis
+ * stretched by 1 / ratio. Shared by Kriging and the simulation so that
+ * both measure lags the same way.
+ */
+export function toIsotropic(x: number, y: number, angle: number, ratio: number): { x: number; y: number } {
+    if (ratio === 1) {
+        return { x, y };
+    }
+    const t = angle * DEG;
+    return {
+        x: x * Math.sin(t) + y * Math.cos(t),
+        y: (x * Math.cos(t) - y * Math.sin(t)) / ratio
+    };
+}
+
+/**
+ * Fit a variogram model to experimental bins by weighted least squares.
+ *
+ * For a given range the model is linear in nugget and partial sill, so
+ * those are solved exactly; the range itself is found by a coarse scan
+ * followed by a golden-section refinement.
+ */
+export function fitVariogramModel(
+    bins: VariogramBin[],
+    model: VariogramModel,
+    options: VariogramFitOptions = {}
+): FittedVariogram {
+    if (bins.length === 0) {
+        throw new Error('Cannot fit a variogram without experimental bins');
+    }
+
+    const maxLag = Math.max(...bins.map(b => b.lag));
+    const weights = bins.map(b => b.count / Math.pow(Math.max(b.lag, maxLag * 1e-3), 2));
+
+    const solve = (range: number): FittedVariogram => {
+        const f = bins.map(b => variogramShape(model, b.lag, range));
+        const { nugget, sill } = solveLinear(bins, weights, f, options);
+
+        let residual = 0;
+        bins.forEach((b, j) => {
+            residual += weights[j] * Math.pow(b.gamma - (nugget + (sill - nugget) * f[j]), 2);
+        });
+        return { model, nugget, sill, range, residual };
+    };
+
+    if (options.range != null) {
+        return solve(options.range);
+    }
+
+    // Coarse scan of the range between a small fraction and twice the max lag
+    const steps = 40;
+    let best = solve(maxLag * 2 / steps);
+    let bestIndex = 1;
+    for (let i = 2; i <= steps; i++) {
+        const candidate = solve(maxLag * 2 * i / steps);
+        if (candidate.residual < best.residual) {
+            best = candidate;
+            bestIndex = i;
+        }
+    }
+
+    // Golden-section refinement around the best candidate
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = maxLag * 2 * Math.max(bestIndex - 1, 0.5) / steps;
+    let b = maxLag * 2 * (bestIndex + 1) / steps;
+    for (let iter = 0; iter < 30; iter++) {
+        const c = b - ratio * (b - a);
+        const d = a + ratio * (b - a);
+        if (solve(c).residual < solve(d).residual) {
+            b = d;
+        } else {
+            a = c;
+        }
+    }
+
+    const refined = solve((a + b) / 2);
+    return refined.residual < best.residual ? refined : best;
+}
+
+/**
+ * Default lag width: half the largest pair distance split into lagCount bins.
+ * Computed in its own pass rather than storing the n² pairs.
+ */
+function autoLagWidth(data: DataPoint[], lagCount: number, distance: (p1: Coordinates, p2: Coordinates) => number): number {
+    let maxDistance = 0;
+    for (let i = 0; i < data.length; i++) {
+        for (let j = i + 1; j < data.length; j++) {
+            maxDistance = Math.max(maxDistance, distance(data[i], data[j]));
+        }
+    }
+    return (maxDistance / 2) / lagCount;
+}
+
+/**
+ * Angle between two axial directions, in [0, 90]
+ */
+function axialDifference(a: number, b: number): number {
+    const d = (((a - b) % 180) + 180) % 180;
+    return Math.min(d, 180 - d);
+}
+
+/**
+ * Solve for nugget and sill at a fixed range, honoring fixed values
+ * and keeping nugget >= 0 and sill >= nugget
+ */
+function solveLinear(
+    bins: VariogramBin[],
+    w: number[],
+    f: number[],
+    options: VariogramFitOptions
+): { nugget: number; sill: number } {
+    const g = bins.map(b => b.gamma);
+    const sum = (fn: (j: number) => number) => g.reduce((acc, _, j) => acc + w[j] * fn(j), 0);
+
+    const fixedNugget = options.nugget;
+    const fixedSill = options.sill ?? undefined;
+
+    if (fixedNugget !== undefined && fixedSill !== undefined) {
+        return { nugget: fixedNugget, sill: fixedSill };
+    }
+
+    if (fixedNugget !== undefined) {
+        // γ - a = c f
+        const den = sum(j => f[j] * f[j]);
+        const c = den > 0 ? Math.max(0, sum(j => f[j] * (g[j] - fixedNugget)) / den) : 0;
+        return { nugget: fixedNugget, sill: fixedNugget + c };
+    }
+
+    if (fixedSill !== undefined) {
+        // γ - S f = a (1 - f)
+        const den = sum(j => Math.pow(1 - f[j], 2));
+        const a = den > 0 ? sum(j => (1 - f[j]) * (g[j] - fixedSill * f[j])) / den : 0;
+        return { nugget: clamp(a, 0, fixedSill), sill: fixedSill };
+    }
+
+    // γ = a + c f
+    const sw = sum(() => 1);
+    const sf = sum(j => f[j]);
+    const sff = sum(j => f[j] * f[j]);
+    const sg = sum(j => g[j]);
+    const sfg = sum(j => f[j] * g[j]);
+    const det = sw * sff - sf * sf;
+
+    let a: number;
+    let c: number;
+    if (Math.abs(det) < 1e-12) {
+        a = 0;
+        c = sff > 0 ? sfg / sff : 0;
+    } else {
+        a = (sff * sg - sf * sfg) / det;
+        c = (sw * sfg - sf * sg) / det;
+    }
+
+    // Project onto the admissible region
+    if (a < 0) {
+        a = 0;
+        c = sff > 0 ? sfg / sff : 0;
+    }
+    if (c < 0) {
+        c = 0;
+        a = Math.max(0, sg / sw);
+    }
+
+    return { nugget: a, sill: a + c };
+}
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.max(min, Math.min(max, value));
+}
+
+function euclidean(p1: Coordinates, p2: Coordinates): number {
+    return Math.sqrt(Math.pow(p1.lon - p2.lon, 2) + Math.pow(p1.lat - p2.lat, 2));
+}